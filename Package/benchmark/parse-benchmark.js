@@ -0,0 +1,180 @@
+// Parser benchmark and large-input regression check: npm run bench [-- --max-mb 8]
+//
+// Generates Java sources of growing size in the shapes that used to be truncated or slow
+// (huge static tables, very long methods, long builder chains, many members), parses each
+// one and checks that nothing was dropped. Each tree is also regenerated and the output parsed
+// again, which must give the same count. Parse time per megabyte must stay flat as the input
+// doubles; the script exits with status 1 if it does not or if a check fails.
+const { JavaParser, JavaGenerator } = require('../index');
+
+const MB = 1024 * 1024;
+
+// The largest input may take this many times longer per byte than the fastest size (GC and
+// JIT noise); a quadratic parser would be around 8x slower per byte at 8x the size
+const MAX_SLOWDOWN = 2.5;
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? Number(process.argv[index + 1]) : fallback;
+}
+
+// Repeat makeLine(i) until the source reaches the requested size; returns the lines
+function linesOfSize(bytes, makeLine) {
+  const lines = [];
+  let size = 0;
+  for (let i = 0; size < bytes; i++) {
+    const line = makeLine(i);
+    lines.push(line);
+    size += line.length + 1;
+  }
+  return lines;
+}
+
+function firstMethodBody(ast) {
+  return ast.typeDeclarations[0].body.statements[0].body;
+}
+
+// Each shape builds a source of about the given size and returns the number of elements the
+// parser must produce, with count(ast) reading that number back from the tree.
+const SHAPES = [
+  {
+    name: 'static table',
+    build(bytes) {
+      const rows = linesOfSize(bytes, i => `    { ${i}, ${i + 1}, 0x${i.toString(16)}, ${i}L, -${i} },`);
+      return {
+        source: `class Table {\n  static final long[][] ROWS = {\n${rows.join('\n')}\n  };\n}\n`,
+        expected: rows.length
+      };
+    },
+    count(ast) {
+      return ast.typeDeclarations[0].body.statements[0].variables[0].initializer.elements.length;
+    }
+  },
+  {
+    name: 'long method',
+    build(bytes) {
+      const statements = linesOfSize(bytes, i => `    values.put("key${i}", compute(${i} * 31 + offset, "v${i}"));`);
+      return {
+        source: `class Registry {\n  void fill() {\n${statements.join('\n')}\n  }\n}\n`,
+        expected: statements.length
+      };
+    },
+    count(ast) {
+      return firstMethodBody(ast).statements.length;
+    }
+  },
+  {
+    name: 'builder chain',
+    build(bytes) {
+      const calls = linesOfSize(bytes, i => `        .with${i % 50}("field${i}", ${i})`);
+      return {
+        source: `class Config {\n  Object build() {\n    return new Builder()\n${calls.join('\n')}\n        .build();\n  }\n}\n`,
+        expected: calls.length + 1
+      };
+    },
+    count(ast) {
+      let expression = firstMethodBody(ast).statements[0].expression;
+      let calls = 0;
+      while (expression.type === 'MethodInvocation') {
+        calls++;
+        expression = expression.target;
+      }
+      return calls;
+    }
+  },
+  {
+    name: 'many members',
+    build(bytes) {
+      const members = linesOfSize(bytes, i =>
+        `  /** Item ${i}. */\n` +
+        `  public static <T extends Comparable<T>> List<T> item${i}(Map<String, List<T>> in, int n) {\n` +
+        `    for (int i = 0; i < n; i++) { if (in.get("k" + i) != null) { n -= i >> 1; } }\n` +
+        `    return in.values().stream().flatMap(l -> l.stream()).sorted().collect(Collectors.toList());\n` +
+        `  }`);
+      return {
+        source: `class Members {\n${members.join('\n')}\n}\n`,
+        expected: members.length
+      };
+    },
+    count(ast) {
+      return ast.typeDeclarations[0].body.statements.length;
+    }
+  }
+];
+
+function timeParse(source) {
+  const start = process.hrtime();
+  const result = JavaParser.parse(source);
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return { result: result, ms: seconds * 1e3 + nanoseconds / 1e6 };
+}
+
+// Regenerate the tree and parse the output again; returns what went wrong
+function regenerationProblems(shape, ast, expected) {
+  let code;
+  try {
+    code = JavaGenerator.generate(ast);
+  } catch (error) {
+    return [`regenerating: ${error.message}`];
+  }
+  
+  const again = JavaParser.parse(code);
+  if (again.diagnostics.length > 0) {
+    return [`regenerated code has ${again.diagnostics.length} diagnostics, first: ${again.diagnostics[0].message}`];
+  }
+  const count = shape.count(again.ast);
+  return count === expected ? [] : [`regenerated code has ${count} elements, expected ${expected}`];
+}
+
+function run() {
+  const maxMb = option('max-mb', 4);
+  const sizes = [];
+  for (let mb = maxMb; mb >= 0.5; mb /= 2) {
+    sizes.unshift(mb);
+  }
+
+  let failed = false;
+
+  for (const shape of SHAPES) {
+    console.log(`${shape.name}`);
+    timeParse(shape.build(0.25 * MB).source); // warm up the JIT
+
+    const msPerMb = [];
+    for (const mb of sizes) {
+      const { source, expected } = shape.build(mb * MB);
+      const { result, ms } = timeParse(source);
+      const sourceMb = source.length / MB;
+      msPerMb.push(ms / sourceMb);
+
+      const problems = [];
+      if (!result.ast) {
+        problems.push('no AST');
+      } else if (shape.count(result.ast) !== expected) {
+        problems.push(`expected ${expected} elements, got ${shape.count(result.ast)}`);
+      }
+      if (result.diagnostics.length > 0) {
+        problems.push(`${result.diagnostics.length} diagnostics, first: ${result.diagnostics[0].message}`);
+      }
+      if (result.ast) {
+        problems.push(...regenerationProblems(shape, result.ast, expected));
+      }
+
+      console.log(`  ${sourceMb.toFixed(2).padStart(6)} MB  ${ms.toFixed(0).padStart(6)} ms  ` +
+                  `${(ms / sourceMb).toFixed(0).padStart(5)} ms/MB  ${expected} elements` +
+                  (problems.length > 0 ? `  FAIL: ${problems.join('; ')}` : ''));
+      failed = failed || problems.length > 0;
+    }
+
+    const slowdown = msPerMb[msPerMb.length - 1] / Math.min(...msPerMb);
+    if (slowdown > MAX_SLOWDOWN) {
+      console.log(`  FAIL: time per MB grows ${slowdown.toFixed(1)}x with the input size (limit ${MAX_SLOWDOWN}x)`);
+      failed = true;
+    }
+  }
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+run();
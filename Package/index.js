@@ -2,11 +2,11 @@
 const { JavaLexer } = require('./src/java-lexer');
 const { JavaParser } = require('./src/java-parser');
 const { JavaGenerator } = require('./src/java-generator');
-// Add static parse method to JavaParser
-JavaParser.parse = function(javaCode) {
+// Add static parse method to JavaParser; returns { ast, diagnostics }
+JavaParser.parse = function(javaCode, options = {}) {
   try {
-    const lexer = new JavaLexer(javaCode);
-    const parser = new JavaParser(lexer);
+    const lexer = new JavaLexer(javaCode, { recover: options.recover === true });
+    const parser = new JavaParser(lexer, options);
     return parser.parse();
   } catch (error) {
     throw new Error(`Java parsing failed: ${error.message}`);
@@ -14,6 +14,43 @@ JavaParser.parse = function(javaCode) {
 
 }
 
+// Fragment parsing shared by the static methods below; returns { node, diagnostics }
+function parseFragment(javaCode, options, parseNode, name) {
+  try {
+    const lexer = new JavaLexer(javaCode, { recover: options.recover === true });
+    const parser = new JavaParser(lexer, options);
+    return parser.parseFragment(parseNode, name);
+  } catch (error) {
+    throw new Error(`Java parsing failed: ${error.message}`);
+  }
+}
+
+// Add static fragment parse methods to JavaParser (same options as parse)
+JavaParser.parseExpression = function(javaCode, options = {}) {
+  return parseFragment(javaCode, options, parser => parser.expression(), 'expression');
+};
+
+JavaParser.parseStatement = function(javaCode, options = {}) {
+  return parseFragment(javaCode, options, parser => parser.recoverStatement(), 'statement');
+};
+
+JavaParser.parseBlock = function(javaCode, options = {}) {
+  return parseFragment(javaCode, options, parser => parser.block(), 'block');
+};
+
+// A method, constructor, field, initializer block or member type
+JavaParser.parseMember = function(javaCode, options = {}) {
+  return parseFragment(javaCode, options, parser => parser.recoverMember(() => parser.classMember()), 'member');
+};
+
+JavaParser.parseType = function(javaCode, options = {}) {
+  return parseFragment(javaCode, options, parser => parser.parseType(), 'type');
+};
+
+JavaParser.parseImport = function(javaCode, options = {}) {
+  return parseFragment(javaCode, options, parser => parser.importDeclaration(), 'import declaration');
+};
+
 // Add static generate method to JavaGenerator
 JavaGenerator.generate = function(ast) {
   try {
@@ -24,4 +61,4 @@ JavaGenerator.generate = function(ast) {
   }
 };
 
-module.exports = { JavaParser, JavaGenerator };
\ No newline at end of file
+module.exports = { JavaParser, JavaGenerator };
@@ -0,0 +1,68 @@
+// Diagnostics reported by the lexer and parser
+
+const DiagnosticSeverity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// Stable codes; messages may change between versions, codes do not
+const DiagnosticCode = {
+  // Lexical errors
+  UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  INVALID_ESCAPE: 'INVALID_ESCAPE',
+  INVALID_CHARACTER_LITERAL: 'INVALID_CHARACTER_LITERAL',
+  INVALID_TEXT_BLOCK: 'INVALID_TEXT_BLOCK',
+  UNTERMINATED_STRING: 'UNTERMINATED_STRING',
+  UNTERMINATED_COMMENT: 'UNTERMINATED_COMMENT',
+
+  // Syntax errors
+  UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+  UNEXPECTED_EOF: 'UNEXPECTED_EOF',
+  EXPECTED_EXPRESSION: 'EXPECTED_EXPRESSION',
+  EXPECTED_TYPE: 'EXPECTED_TYPE',
+  EXPECTED_DECLARATION: 'EXPECTED_DECLARATION',
+  MISSING_CATCH_OR_FINALLY: 'MISSING_CATCH_OR_FINALLY',
+
+  // Failures of the parser itself
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// A position in the original source: 1-based line and column, 0-based offset
+function sourcePosition(line, column, offset) {
+  return { line: line, column: column, offset: offset };
+}
+
+// Start and end positions covering a token's lexeme (or a node's source range)
+function tokenRange(token) {
+  return {
+    start: sourcePosition(token.loc.start.line, token.loc.start.column, token.start),
+    end: sourcePosition(token.loc.end.line, token.loc.end.column, token.end)
+  };
+}
+
+function createDiagnostic(code, severity, message, start, end, token = null) {
+  return {
+    code: code,
+    severity: severity,
+    message: message,
+    start: start,
+    end: end,
+    token: token
+  };
+}
+
+// One-line rendering used when diagnostics go to a logger
+function formatDiagnostic(diagnostic) {
+  return `${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message} ` +
+         `at line ${diagnostic.start.line}, column ${diagnostic.start.column}`;
+}
+
+module.exports = {
+  DiagnosticSeverity,
+  DiagnosticCode,
+  sourcePosition,
+  tokenRange,
+  createDiagnostic,
+  formatDiagnostic
+};
@@ -1,4 +1,110 @@
 // Java Code Generator - Converts AST back to Java source code
+
+// Expression precedence levels (higher binds tighter), used to decide where parentheses go
+const ASSIGNMENT_PRECEDENCE = 1;
+const CONDITIONAL_PRECEDENCE = 2;
+const RELATIONAL_PRECEDENCE = 9;
+const UNARY_PRECEDENCE = 13;
+const POSTFIX_PRECEDENCE = 14;
+const PRIMARY_PRECEDENCE = 15;
+
+const BINARY_PRECEDENCE = {
+  '||': 3, '&&': 4, '|': 5, '^': 6, '&': 7,
+  '==': 8, '!=': 8,
+  '<': RELATIONAL_PRECEDENCE, '>': RELATIONAL_PRECEDENCE,
+  '<=': RELATIONAL_PRECEDENCE, '>=': RELATIONAL_PRECEDENCE,
+  '<<': 10, '>>': 10, '>>>': 10,
+  '+': 11, '-': 11,
+  '*': 12, '/': 12, '%': 12
+};
+
+function expressionPrecedence(expr) {
+  switch (expr && expr.type) {
+    case 'LambdaExpression':
+    case 'AssignmentExpression':
+      return ASSIGNMENT_PRECEDENCE;
+    case 'ConditionalExpression':
+      return CONDITIONAL_PRECEDENCE;
+    case 'BinaryExpression':
+      return BINARY_PRECEDENCE[expr.operator];
+    case 'InstanceOfExpression':
+      return RELATIONAL_PRECEDENCE;
+    case 'CastExpression':
+      return UNARY_PRECEDENCE;
+    case 'UnaryExpression':
+      return expr.prefix ? UNARY_PRECEDENCE : POSTFIX_PRECEDENCE;
+    default:
+      return PRIMARY_PRECEDENCE;
+  }
+}
+
+// Expressions printed after their left operand, by the property holding it: a.b().c(), a[i][j],
+// x + y + z. Builder chains and long concatenations nest thousands deep, so generateChain walks
+// these links in a loop rather than recursing once per link.
+const CHAIN_OPERANDS = {
+  MethodInvocation: 'target',
+  FieldAccess: 'object',
+  ArrayAccess: 'array',
+  BinaryExpression: 'left'
+};
+
+const STRING_ESCAPES = {
+  '\\': '\\\\',
+  '\n': '\\n',
+  '\t': '\\t',
+  '\r': '\\r',
+  '\b': '\\b',
+  '\f': '\\f',
+  '\0': '\\0'
+};
+
+// Re-escape a decoded string or char literal value for output between the given quotes
+function escapeJavaString(value, quote) {
+  let result = '';
+  for (const ch of String(value)) {
+    if (STRING_ESCAPES[ch]) {
+      result += STRING_ESCAPES[ch];
+    } else if (ch === quote) {
+      result += '\\' + ch;
+    } else {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+// Format a JavadocComment from its description and block tags. The first line carries no
+// indentation; the following ' * ' lines are prefixed with indent.
+function formatJavadoc(javadoc, indent, newline = '\n') {
+  const lines = javadoc.description ? javadoc.description.split('\n') : [];
+  const blockTags = javadoc.blockTags || [];
+  
+  if (lines.length > 0 && blockTags.length > 0) {
+    lines.push('');
+  }
+  blockTags.forEach(tag => {
+    const head = '@' + tag.name + (tag.parameter ? ' ' + tag.parameter : '');
+    const description = (tag.description || '').split('\n');
+    lines.push(head + (description[0] ? ' ' + description[0] : ''));
+    lines.push(...description.slice(1));
+  });
+  
+  return '/**' + newline +
+         lines.map(line => indent + ' *' + (line ? ' ' + line : '')).join(newline) + newline +
+         indent + ' */';
+}
+
+// The Javadoc comment among a declaration's leading comments, if any
+function findJavadoc(node) {
+  const comments = (node && node.leadingComments) || [];
+  for (let i = comments.length - 1; i >= 0; i--) {
+    if (comments[i].type === 'JavadocComment') {
+      return comments[i];
+    }
+  }
+  return null;
+}
+
 class JavaCodeGenerator {
   constructor(options = {}) {
     this.indentSize = options.indentSize || 4;
@@ -107,7 +213,7 @@ class JavaCodeGenerator {
       code += ast.modifiers.map(m => this.generate(m)).join(' ') + ' ';
     }
     
-    code += `class ${ast.name}`;
+    code += `class ${ast.name}` + this.generateTypeParameters(ast.typeParameters);
     
     // Extends clause
     if (ast.superClass) {
@@ -164,9 +270,7 @@ class JavaCodeGenerator {
     code += `interface ${ast.name}`;
     
     // Generic type parameters
-    if (ast.typeParameters && ast.typeParameters.length > 0) {
-      code += `<${ast.typeParameters.join(', ')}>`;
-    }
+    code += this.generateTypeParameters(ast.typeParameters);
     
     // Extends clause
     if (ast.interfaces && ast.interfaces.length > 0) {
@@ -215,6 +319,11 @@ class JavaCodeGenerator {
       code += ast.modifiers.map(m => this.generate(m)).join(' ') + ' ';
     }
     
+    // Type parameters of a generic method
+    if (ast.typeParameters && ast.typeParameters.length > 0) {
+      code += this.generateTypeParameters(ast.typeParameters) + ' ';
+    }
+    
     // Return type
     code += this.generate(ast.returnType) + ' ';
     
@@ -273,6 +382,11 @@ class JavaCodeGenerator {
       code += ast.modifiers.map(m => this.generate(m)).join(' ') + ' ';
     }
     
+    // Type parameters of a generic constructor
+    if (ast.typeParameters && ast.typeParameters.length > 0) {
+      code += this.generateTypeParameters(ast.typeParameters) + ' ';
+    }
+    
     // Constructor name
     code += ast.name;
     
@@ -300,6 +414,29 @@ class JavaCodeGenerator {
     return code;
   }
 
+  // Generate field declaration (initializers are expressions, rendered by JavaGenerator)
+  generateFieldDeclaration(ast) {
+    let code = '';
+    
+    // Generate annotations
+    if (ast.annotations && ast.annotations.length > 0) {
+      ast.annotations.forEach(annotation => {
+        code += this.indent() + this.generate(annotation) + this.newlineStyle;
+      });
+    }
+    
+    code += this.indent();
+    
+    // Modifiers
+    if (ast.modifiers && ast.modifiers.length > 0) {
+      code += ast.modifiers.map(m => this.generate(m)).join(' ') + ' ';
+    }
+    
+    code += this.generate(ast.fieldType) + ' ' + new JavaGenerator(null).generateDeclarators(ast.variables) + ';';
+    
+    return code + this.newlineStyle;
+  }
+
   // Generate parameter
   generateParameter(ast) {
     let code = '';
@@ -308,14 +445,28 @@ class JavaCodeGenerator {
       code += 'final ';
     }
     
-    code += this.generate(ast.type) + ' ' + ast.name;
+    code += this.generate(ast.type) + (ast.isVarArgs ? '... ' : ' ') + ast.name + '[]'.repeat(ast.arrayDimensions || 0);
     
     return code;
   }
 
   // Generate type
   generateType(ast) {
-    let code = ast.name;
+    let code = '';
+    
+    if (ast.annotations && ast.annotations.length > 0) {
+      code += ast.annotations.map(a => this.generate(a)).join(' ') + ' ';
+    }
+    
+    if (ast.scope) {
+      code += this.generate(ast.scope) + '.' + ast.nameParts.slice(ast.scope.nameParts.length).join('.');
+    } else {
+      code += ast.name;
+    }
+    
+    if (ast.typeArguments) {
+      code += '<' + ast.typeArguments.map(t => this.generate(t)).join(', ') + '>';
+    }
     
     if (ast.isArray) {
       code += '[]'.repeat(ast.arrayDimensions);
@@ -324,22 +475,53 @@ class JavaCodeGenerator {
     return code;
   }
 
-  // Generate modifier
-  generateModifier(ast) {
-    return ast.name;
+  // Generate wildcard type argument
+  generateWildcardType(ast) {
+    let code = '';
+    
+    if (ast.annotations && ast.annotations.length > 0) {
+      code += ast.annotations.map(a => this.generate(a)).join(' ') + ' ';
+    }
+    
+    code += '?';
+    if (ast.extendsBound) {
+      code += ' extends ' + this.generate(ast.extendsBound);
+    } else if (ast.superBound) {
+      code += ' super ' + this.generate(ast.superBound);
+    }
+    
+    return code;
   }
 
-  // Generate annotation
-  generateAnnotation(ast) {
-    let code = '@' + ast.name;
+  // Generate type parameter
+  generateTypeParameter(ast) {
+    let code = ast.name;
     
-    if (ast.arguments && ast.arguments.length > 0) {
-      code += '(' + ast.arguments.join(', ') + ')';
+    if (ast.bounds && ast.bounds.length > 0) {
+      code += ' extends ' + ast.bounds.map(b => this.generate(b)).join(' & ');
     }
     
     return code;
   }
 
+  // Generate type parameter list (<T, U extends T>), or an empty string
+  generateTypeParameters(typeParameters) {
+    if (!typeParameters || typeParameters.length === 0) {
+      return '';
+    }
+    return '<' + typeParameters.map(t => this.generate(t)).join(', ') + '>';
+  }
+
+  // Generate modifier
+  generateModifier(ast) {
+    return ast.name;
+  }
+
+  // Generate annotation (element values are expressions, rendered by JavaGenerator)
+  generateAnnotation(ast) {
+    return new JavaGenerator(null).generateAnnotation(ast);
+  }
+
   // Generate identifier
   generateIdentifier(ast) {
     return ast.name;
@@ -401,15 +583,27 @@ class JavaCodeGenerator {
     return this.indent() + '// TODO: Implement constructor body' + this.newlineStyle;
   }
 
-  // Generate Javadoc comment for classes/interfaces
+  // Generate Javadoc comment for classes/interfaces; a parsed Javadoc comment is kept as written
   generateJavadoc(ast) {
+    const javadoc = findJavadoc(ast);
+    if (javadoc) {
+      return this.indent() + formatJavadoc(javadoc, this.indent(), this.newlineStyle) + this.newlineStyle;
+    }
+    
     return this.indent() + '/**' + this.newlineStyle +
            this.indent() + ` * ${ast.name}` + this.newlineStyle +
            this.indent() + ' */' + this.newlineStyle;
   }
 
-  // Generate Javadoc comment for methods
+  // Generate Javadoc comment for methods. A parsed Javadoc comment is re-emitted with placeholder
+  // @param and @return tags added only where they are missing.
   generateMethodJavadoc(ast) {
+    const javadoc = findJavadoc(ast);
+    if (javadoc) {
+      const hasReturn = ast.returnType && ast.returnType.name !== 'void';
+      return this.generateMergedJavadoc(javadoc, ast.parameters, hasReturn);
+    }
+    
     let code = this.indent() + '/**' + this.newlineStyle;
     code += this.indent() + ` * ${ast.name}` + this.newlineStyle;
     
@@ -432,8 +626,13 @@ class JavaCodeGenerator {
     return code;
   }
 
-  // Generate Javadoc comment for constructors
+  // Generate Javadoc comment for constructors, merging with a parsed Javadoc comment like methods
   generateConstructorJavadoc(ast) {
+    const javadoc = findJavadoc(ast);
+    if (javadoc) {
+      return this.generateMergedJavadoc(javadoc, ast.parameters, false);
+    }
+    
     let code = this.indent() + '/**' + this.newlineStyle;
     code += this.indent() + ` * Creates a new ${ast.name}` + this.newlineStyle;
     
@@ -449,6 +648,35 @@ class JavaCodeGenerator {
     
     return code;
   }
+
+  // Re-emit parsed Javadoc, inserting the @param tags of undocumented parameters after the
+  // documented ones and an @return tag when one is required but missing
+  generateMergedJavadoc(javadoc, parameters, hasReturn) {
+    const blockTags = (javadoc.blockTags || []).slice();
+    const documented = blockTags.filter(tag => tag.name === 'param').map(tag => tag.parameter);
+    const placeholder = (name, parameter, description) =>
+      ({ type: 'JavadocBlockTag', name: name, parameter: parameter, description: description, inlineTags: [] });
+    
+    let insertAt = 0;
+    blockTags.forEach((tag, index) => {
+      if (tag.name === 'param') {
+        insertAt = index + 1;
+      }
+    });
+    
+    (parameters || []).forEach(param => {
+      if (!documented.includes(param.name)) {
+        blockTags.splice(insertAt++, 0, placeholder('param', param.name, `the ${param.name}`));
+      }
+    });
+    
+    if (hasReturn && !blockTags.some(tag => tag.name === 'return')) {
+      blockTags.splice(insertAt, 0, placeholder('return', null, 'the result'));
+    }
+    
+    const merged = Object.assign({}, javadoc, { blockTags: blockTags });
+    return this.indent() + formatJavadoc(merged, this.indent(), this.newlineStyle) + this.newlineStyle;
+  }
 }
 
 // Enhanced generator that works with extracted data
@@ -742,24 +970,30 @@ class JavaGenerator {
         return this.generateInterface(this.ast);
       case 'EnumDeclaration':
         return this.generateEnum(this.ast);
+      case 'RecordDeclaration':
+        return this.generateRecord(this.ast);
+      case 'AnnotationTypeDeclaration':
+        return this.generateAnnotationType(this.ast);
       case 'MethodDeclaration':
-        return this.generateMethod(this.ast);
       case 'ConstructorDeclaration':
-        return this.generateConstructor(this.ast);
-      case 'VariableDeclaration':
-        return this.generateVariableDeclaration(this.ast);
       case 'FieldDeclaration':
-        return this.generateField(this.ast);
+      case 'InitializerBlock':
+        return this.generateMember(this.ast);
       case 'Annotation':
         return this.generateAnnotation(this.ast);
-      case 'ExpressionStatement':
-        return this.generateExpressionStatement(this.ast);
-      case 'ReturnStatement':
-        return this.generateReturnStatement(this.ast);
+      case 'Type':
+      case 'WildcardType':
+        return this.generateType(this.ast);
+      case 'VariableDeclaration':
       case 'Block':
-        return this.generateBlock(this.ast);
+      case 'ErrorNode':
+        return this.generateStatement(this.ast);
       default:
-        return `// Unknown AST node type: ${this.ast.type}\n`;
+        // Statement and expression fragments (JavaParser.parseStatement, parseExpression)
+        if (/Statement$/.test(this.ast.type)) {
+          return this.generateStatement(this.ast);
+        }
+        return this.generateExpression(this.ast);
     }
   }
 
@@ -769,13 +1003,13 @@ class JavaGenerator {
     
     // Package declaration
     if (ast.packageDeclaration) {
-      code += `package ${ast.packageDeclaration.packageName};\n\n`;
+      code += this.withComments(ast.packageDeclaration, this.generatePackage(ast.packageDeclaration) + '\n') + '\n';
     }
     
     // Imports
     if (ast.imports && ast.imports.length > 0) {
       ast.imports.forEach(imp => {
-        code += this.generateImport(imp) + '\n';
+        code += this.withComments(imp, this.generateImport(imp) + '\n');
       });
       code += '\n';
     }
@@ -783,21 +1017,107 @@ class JavaGenerator {
     // Type declarations (classes and interfaces)
     if (ast.typeDeclarations && ast.typeDeclarations.length > 0) {
       ast.typeDeclarations.forEach(typeDecl => {
-        if (typeDecl.type === 'ClassDeclaration') {
-          code += this.generateClass(typeDecl);
-        } else if (typeDecl.type === 'InterfaceDeclaration') {
-          code += this.generateInterface(typeDecl);
-        } else if (typeDecl.type === 'EnumDeclaration') {
-          code += this.generateEnum(typeDecl);
-        } else {
-          code += `// Unknown type declaration: ${typeDecl.type}\n`;
-        }
+        code += this.withComments(typeDecl, this.generateTypeDeclaration(typeDecl)) ||
+                `// Unknown type declaration: ${typeDecl.type}\n`;
       });
     }
     
+    return code + this.generateInnerComments(ast);
+  }
+
+  // Generate class, interface, enum or record declaration (top-level, member or local)
+  generateTypeDeclaration(typeDecl) {
+    switch (typeDecl.type) {
+      case 'ClassDeclaration':
+        return this.generateClass(typeDecl);
+      case 'InterfaceDeclaration':
+        return this.generateInterface(typeDecl);
+      case 'EnumDeclaration':
+        return this.generateEnum(typeDecl);
+      case 'RecordDeclaration':
+        return this.generateRecord(typeDecl);
+      case 'AnnotationTypeDeclaration':
+        return this.generateAnnotationType(typeDecl);
+      case 'ErrorNode':
+        return this.generateErrorNode(typeDecl);
+      default:
+        return '';
+    }
+  }
+
+  // Tokens skipped by a recovering parse are emitted as they were, on one line
+  generateErrorNode(node) {
+    return this.indent() + node.tokens.map(token => token.raw).join(' ') + '\n';
+  }
+
+  // Generate class (or interface) body member with its comments
+  generateMember(member, inInterface = false) {
+    if (!member) return '';
+    
+    return this.withComments(member, this.generateMemberWithoutComments(member, inInterface));
+  }
+
+  generateMemberWithoutComments(member, inInterface = false) {
+    switch (member.type) {
+      case 'MethodDeclaration':
+        return inInterface ? this.generateInterfaceMethod(member) : this.generateMethod(member);
+      case 'ConstructorDeclaration':
+        return this.generateConstructor(member);
+      case 'FieldDeclaration':
+        return this.generateField(member);
+      case 'InitializerBlock':
+        return this.indent() + (member.isStatic ? 'static ' : '') + this.generateInlineBlock(member.body) + '\n\n';
+      default:
+        return this.generateTypeDeclaration(member);
+    }
+  }
+
+  // Emit a node's leading comments on their own lines before its code and its trailing comments
+  // at the end of its last line
+  withComments(node, code) {
+    if (!code) return code;
+    
+    if (node.trailingComments && node.trailingComments.length > 0) {
+      const content = code.replace(/\n+$/, '');
+      code = content + node.trailingComments.map(comment => ' ' + this.generateComment(comment)).join('') +
+             code.slice(content.length);
+    }
+    
+    if (node.leadingComments && node.leadingComments.length > 0) {
+      code = node.leadingComments.map(comment => this.indent() + this.generateComment(comment) + '\n').join('') + code;
+    }
+    
     return code;
   }
 
+  // Emit the comments left at the end of a body (before its closing brace or the end of file)
+  generateInnerComments(node) {
+    if (!node || !node.innerComments) return '';
+    
+    return node.innerComments.map(comment => this.indent() + this.generateComment(comment) + '\n').join('');
+  }
+
+  // Generate a comment; continuation lines of /* */ and /** */ comments that start with '*'
+  // are re-indented to the current level
+  generateComment(comment) {
+    if (comment.type === 'LineComment') {
+      return '//' + comment.value;
+    }
+    
+    // A JavadocComment without its original text is formatted from its description and tags
+    if (comment.type === 'JavadocComment' && typeof comment.value !== 'string') {
+      return formatJavadoc(comment, this.indent());
+    }
+    
+    const text = (comment.type === 'JavadocComment' ? '/**' : '/*') + comment.value + '*/';
+    const lines = text.split('\n');
+    
+    if (lines.length > 1 && lines.slice(1).every(line => /^\s*\*/.test(line))) {
+      return lines.map((line, index) => index === 0 ? line : this.indent() + ' ' + line.trimStart()).join('\n');
+    }
+    return text;
+  }
+
   // Generate package declaration
   generatePackage(pkg) {
     return `package ${pkg.packageName};`;
@@ -821,6 +1141,13 @@ class JavaGenerator {
   generateClass(cls) {
     let code = '';
     
+    // Annotations
+    if (cls.annotations && cls.annotations.length > 0) {
+      cls.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
     // Class signature
     code += this.indent();
     
@@ -831,16 +1158,21 @@ class JavaGenerator {
       });
     }
     
-    code += `class ${cls.name}`;
+    code += `class ${cls.name}` + this.generateTypeParameters(cls.typeParameters);
     
     // Extends
     if (cls.superClass) {
-      code += ` extends ${cls.superClass}`;
+      code += ' extends ' + this.generateType(cls.superClass);
     }
     
     // Implements
     if (cls.interfaces && cls.interfaces.length > 0) {
-      code += ` implements ${cls.interfaces.join(', ')}`;
+      code += ' implements ' + cls.interfaces.map(i => this.generateType(i)).join(', ');
+    }
+    
+    // Permits (sealed classes)
+    if (cls.permits && cls.permits.length > 0) {
+      code += ' permits ' + cls.permits.map(p => this.generateType(p)).join(', ');
     }
     
     code += ' {\n';
@@ -849,18 +1181,13 @@ class JavaGenerator {
     if (cls.body && cls.body.statements) {
       this.indentLevel++;
       cls.body.statements.forEach(stmt => {
-        if (stmt && stmt.type === 'MethodDeclaration') {
-          code += this.generateMethod(stmt);
-        } else if (stmt && stmt.type === 'ConstructorDeclaration') {
-          code += this.generateConstructor(stmt);
-        } else if (stmt && stmt.type === 'FieldDeclaration') {
-          code += this.generateField(stmt);
-        }
+        code += this.generateMember(stmt);
       });
+      code += this.generateInnerComments(cls.body);
       this.indentLevel--;
     }
     
-    code += '}\n';
+    code += this.indent() + '}\n';
     
     return code;
   }
@@ -869,6 +1196,13 @@ class JavaGenerator {
   generateInterface(iface) {
     let code = '';
     
+    // Annotations
+    if (iface.annotations && iface.annotations.length > 0) {
+      iface.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
     // Interface signature
     code += this.indent();
     
@@ -882,14 +1216,17 @@ class JavaGenerator {
     code += 'interface ' + iface.name;
     
     // Generic type parameters
-    if (iface.typeParameters && iface.typeParameters.length > 0) {
-      code += '<' + iface.typeParameters.join(', ') + '>';
-    }
+    code += this.generateTypeParameters(iface.typeParameters);
     
     // Extends clause
     if (iface.interfaces && iface.interfaces.length > 0) {
       code += ' extends ';
-      code += iface.interfaces.map(i => i.name).join(', ');
+      code += iface.interfaces.map(i => this.generateType(i)).join(', ');
+    }
+    
+    // Permits (sealed interfaces)
+    if (iface.permits && iface.permits.length > 0) {
+      code += ' permits ' + iface.permits.map(p => this.generateType(p)).join(', ');
     }
     
     code += ' {\n';
@@ -898,16 +1235,13 @@ class JavaGenerator {
     if (iface.body && iface.body.statements) {
       this.indentLevel++;
       iface.body.statements.forEach(stmt => {
-        if (stmt && stmt.type === 'MethodDeclaration') {
-          code += this.generateInterfaceMethod(stmt);
-        } else if (stmt && stmt.type === 'FieldDeclaration') {
-          code += this.generateField(stmt);
-        }
+        code += this.generateMember(stmt, true);
       });
+      code += this.generateInnerComments(iface.body);
       this.indentLevel--;
     }
     
-    code += '}\n';
+    code += this.indent() + '}\n';
     
     return code;
   }
@@ -916,6 +1250,13 @@ class JavaGenerator {
   generateEnum(enumDecl) {
     let code = '';
     
+    // Annotations
+    if (enumDecl.annotations && enumDecl.annotations.length > 0) {
+      enumDecl.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
     // Enum signature
     code += this.indent();
     
@@ -931,194 +1272,339 @@ class JavaGenerator {
     // Implements clause
     if (enumDecl.interfaces && enumDecl.interfaces.length > 0) {
       code += ' implements ';
-      code += enumDecl.interfaces.map(i => i.name).join(', ');
+      code += enumDecl.interfaces.map(i => this.generateType(i)).join(', ');
     }
     
     code += ' {\n';
     
-    // Enum constants
-    if (enumDecl.constants && enumDecl.constants.length > 0) {
-      this.indentLevel++;
-      enumDecl.constants.forEach((constant, index) => {
-        code += this.indent() + constant.name;
-        
-        // Add constructor parameters if present
-        if (constant.parameters && constant.parameters.length > 0) {
-          code += '(';
-          const paramValues = constant.parameters.map(token => {
-            if (token.type === 'STRING_LITERAL' || token.type === 'STRING') {
-              return `"${token.value}"`;
-            }
-            return token.value;
-          }).join('');
-          code += paramValues + ')';
-        }
-        
-        if (index < enumDecl.constants.length - 1) {
-          code += ',';
-        }
-        code += '\n';
-      });
-      this.indentLevel--;
+    // Enum constants, separated by commas; a ';' closes the list when members follow
+    const hasMembers = enumDecl.body && enumDecl.body.statements && enumDecl.body.statements.length > 0;
+    const constants = enumDecl.constants || [];
+    
+    this.indentLevel++;
+    constants.forEach((constant, index) => {
+      let constantCode = this.generateEnumConstant(constant);
       
-      // Add semicolon if there are methods/fields
-      if (enumDecl.body && enumDecl.body.statements && enumDecl.body.statements.length > 0) {
-        code += ';\n';
+      if (index < constants.length - 1) {
+        constantCode += ',';
+      } else if (hasMembers) {
+        constantCode += ';';
       }
+      code += this.withComments(constant, constantCode + '\n');
+    });
+    if (constants.length === 0 && hasMembers) {
+      code += this.indent() + ';\n';
     }
+    this.indentLevel--;
     
-    // Enum body (methods and fields)
+    // Enum body (fields, constructors, methods and nested types)
     if (enumDecl.body && enumDecl.body.statements) {
       this.indentLevel++;
       enumDecl.body.statements.forEach(stmt => {
-        if (stmt && stmt.type === 'MethodDeclaration') {
-          code += this.generateMethod(stmt);
-        } else if (stmt && stmt.type === 'FieldDeclaration') {
-          code += this.generateField(stmt);
-        }
+        code += this.generateMember(stmt);
       });
+      code += this.generateInnerComments(enumDecl.body);
       this.indentLevel--;
     }
     
-    code += '}\n';
+    code += this.indent() + '}\n';
     
     return code;
   }
 
-  // Generate annotation
-  generateAnnotation(annotation) {
-    let code = '@' + annotation.name;
-    if (annotation.args && annotation.args.length > 0) {
-      code += '(' + annotation.args.join(', ') + ')';
+  // Generate enum constant: annotations, NAME, (arguments) and an optional class body
+  generateEnumConstant(constant) {
+    let code = '';
+    
+    if (constant.annotations && constant.annotations.length > 0) {
+      constant.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
+    code += this.indent() + constant.name;
+    
+    if (constant.arguments) {
+      code += this.generateArguments(constant.arguments);
+    }
+    
+    if (constant.body) {
+      code += ' {\n';
+      this.indentLevel++;
+      constant.body.statements.forEach(member => {
+        code += this.generateMember(member);
+      });
+      code += this.generateInnerComments(constant.body);
+      this.indentLevel--;
+      code += this.indent() + '}';
     }
+    
     return code;
   }
 
-  // Generate field declaration
-  generateField(field) {
+  // Generate record declaration
+  generateRecord(record) {
     let code = '';
     
     // Annotations
-    if (field.annotations && field.annotations.length > 0) {
-      field.annotations.forEach(annotation => {
+    if (record.annotations && record.annotations.length > 0) {
+      record.annotations.forEach(annotation => {
         code += this.indent() + this.generateAnnotation(annotation) + '\n';
       });
     }
     
-    // Field signature
+    // Record signature
     code += this.indent();
     
     // Modifiers
-    if (field.modifiers && field.modifiers.length > 0) {
-      field.modifiers.forEach(mod => {
+    if (record.modifiers && record.modifiers.length > 0) {
+      record.modifiers.forEach(mod => {
         code += mod.name + ' ';
       });
     }
     
-    // Field type
-    if (field.fieldType) {
-      code += field.fieldType.name;
-      if (field.fieldType.isArray) {
-        code += '[]'.repeat(field.fieldType.arrayDimensions);
+    code += 'record ' + record.name;
+    
+    // Generic type parameters
+    code += this.generateTypeParameters(record.typeParameters);
+    
+    // Record components
+    code += '(' + record.components.map(component => {
+      let componentCode = '';
+      if (component.annotations && component.annotations.length > 0) {
+        componentCode += component.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
       }
+      componentCode += this.generateType(component.componentType);
+      componentCode += component.isVarArgs ? '... ' : ' ';
+      return componentCode + component.name;
+    }).join(', ') + ')';
+    
+    // Implements clause
+    if (record.interfaces && record.interfaces.length > 0) {
+      code += ' implements ' + record.interfaces.map(i => this.generateType(i)).join(', ');
     }
     
-    code += ' ' + field.name;
+    code += ' {\n';
     
-    // Initializer
-    if (field.initializer) {
-      code += ' = ';
-      code += this.generateExpression(field.initializer);
+    // Record body (compact constructors, methods, static fields, nested types)
+    if (record.body && record.body.statements) {
+      this.indentLevel++;
+      record.body.statements.forEach(stmt => {
+        code += this.generateMember(stmt);
+      });
+      code += this.generateInnerComments(record.body);
+      this.indentLevel--;
     }
     
-    code += ';\n';
+    code += this.indent() + '}\n';
     
     return code;
   }
 
-  // Generate constructor declaration
-  generateConstructor(constructor) {
+  // Generate annotation: @Name, @Name(value) or @Name(a = 1, b = {"x", "y"})
+  generateAnnotation(annotation) {
+    let code = '@' + annotation.name;
+    if (annotation.arguments && annotation.arguments.length > 0) {
+      code += '(' + annotation.arguments.map(pair => {
+        const value = this.generateExpression(pair.value);
+        return pair.name ? pair.name + ' = ' + value : value;
+      }).join(', ') + ')';
+    }
+    return code;
+  }
+
+  // Generate annotation type declaration (@interface)
+  generateAnnotationType(decl) {
     let code = '';
     
     // Annotations
-    if (constructor.annotations && constructor.annotations.length > 0) {
-      constructor.annotations.forEach(annotation => {
+    if (decl.annotations && decl.annotations.length > 0) {
+      decl.annotations.forEach(annotation => {
         code += this.indent() + this.generateAnnotation(annotation) + '\n';
       });
     }
     
-    // Constructor signature
     code += this.indent();
     
     // Modifiers
-    if (constructor.modifiers && constructor.modifiers.length > 0) {
-      constructor.modifiers.forEach(mod => {
+    if (decl.modifiers && decl.modifiers.length > 0) {
+      decl.modifiers.forEach(mod => {
         code += mod.name + ' ';
       });
     }
     
-    // Constructor name (same as class name)
-    code += constructor.name + '(';
-    
-    // Parameters
-    if (constructor.parameters && constructor.parameters.length > 0) {
-      const params = constructor.parameters.map(param => {
-        let paramStr = param.type.name;
-        if (param.type.isArray) {
-          paramStr += '[]'.repeat(param.type.arrayDimensions || 1);
-        }
-        paramStr += ' ' + param.name;
-        return paramStr;
-      });
-      code += params.join(', ');
-    }
-    
-    code += ') {\n';
+    code += '@interface ' + decl.name + ' {\n';
     
-    // Constructor body
-    if (constructor.body && constructor.body.statements) {
+    // Elements, constants and nested types
+    if (decl.body && decl.body.statements) {
       this.indentLevel++;
-      constructor.body.statements.forEach(stmt => {
-        code += this.generateStatement(stmt);
+      decl.body.statements.forEach(member => {
+        if (member && member.type === 'AnnotationElementDeclaration') {
+          code += this.withComments(member, this.generateAnnotationElement(member));
+        } else {
+          code += this.generateMember(member);
+        }
       });
+      code += this.generateInnerComments(decl.body);
       this.indentLevel--;
     }
     
-    code += this.indent() + '}\n\n';
+    code += this.indent() + '}\n';
     
     return code;
   }
 
-  // Generate interface method declaration (no body)
-  generateInterfaceMethod(method) {
+  // Generate annotation type element: String value() default "";
+  generateAnnotationElement(element) {
     let code = '';
     
-    // Annotations
-    if (method.annotations && method.annotations.length > 0) {
-      method.annotations.forEach(annotation => {
+    if (element.annotations && element.annotations.length > 0) {
+      element.annotations.forEach(annotation => {
         code += this.indent() + this.generateAnnotation(annotation) + '\n';
       });
     }
     
-    // Method signature
     code += this.indent();
-    
-    // Modifiers (but skip abstract for interface methods)
-    if (method.modifiers && method.modifiers.length > 0) {
-      method.modifiers.forEach(mod => {
-        if (mod.name !== 'abstract') {
-          code += mod.name + ' ';
-        }
-      });
+    if (element.modifiers && element.modifiers.length > 0) {
+      code += element.modifiers.map(mod => mod.name).join(' ') + ' ';
     }
     
-    // Return type
-    if (method.returnType) {
-      code += method.returnType.name;
-      if (method.returnType.isArray) {
-        code += '[]'.repeat(method.returnType.arrayDimensions || 1);
-      }
-      code += ' ';
+    code += this.generateType(element.elementType) + ' ' + element.name + '()';
+    if (element.defaultValue) {
+      code += ' default ' + this.generateExpression(element.defaultValue);
+    }
+    
+    return code + ';\n';
+  }
+
+  // Generate field declaration
+  generateField(field) {
+    let code = '';
+    
+    // Annotations
+    if (field.annotations && field.annotations.length > 0) {
+      field.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
+    // Field signature
+    code += this.indent();
+    
+    // Modifiers
+    if (field.modifiers && field.modifiers.length > 0) {
+      field.modifiers.forEach(mod => {
+        code += mod.name + ' ';
+      });
+    }
+    
+    // Field type
+    if (field.fieldType) {
+      code += this.generateType(field.fieldType);
+    }
+    
+    // Declarators: x, y = 2, z[]
+    if (field.variables) {
+      code += ' ' + this.generateDeclarators(field.variables);
+    } else {
+      // Old format: single name and initializer
+      code += ' ' + field.name;
+      if (field.initializer) {
+        code += ' = ' + this.generateExpression(field.initializer);
+      }
+    }
+    
+    code += ';\n';
+    
+    return code;
+  }
+
+  // Generate constructor declaration
+  generateConstructor(constructor) {
+    let code = '';
+    
+    // Annotations
+    if (constructor.annotations && constructor.annotations.length > 0) {
+      constructor.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
+    // Constructor signature
+    code += this.indent();
+    
+    // Modifiers
+    if (constructor.modifiers && constructor.modifiers.length > 0) {
+      constructor.modifiers.forEach(mod => {
+        code += mod.name + ' ';
+      });
+    }
+    
+    // Type parameters of a generic constructor
+    if (constructor.typeParameters && constructor.typeParameters.length > 0) {
+      code += this.generateTypeParameters(constructor.typeParameters) + ' ';
+    }
+    
+    // Constructor name (same as class name)
+    code += constructor.name;
+    
+    // Parameters (a compact record constructor has no parameter list)
+    if (!constructor.isCompact) {
+      code += '(';
+      if (constructor.parameters && constructor.parameters.length > 0) {
+        code += constructor.parameters.map(param => this.generateParameter(param)).join(', ');
+      }
+      code += ')' + this.generateThrows(constructor.throws);
+    }
+    
+    code += ' {\n';
+    
+    // Constructor body
+    if (constructor.body && constructor.body.statements) {
+      this.indentLevel++;
+      constructor.body.statements.forEach(stmt => {
+        code += this.generateStatement(stmt);
+      });
+      code += this.generateInnerComments(constructor.body);
+      this.indentLevel--;
+    }
+    
+    code += this.indent() + '}\n\n';
+    
+    return code;
+  }
+
+  // Generate interface method declaration (abstract methods have no body)
+  generateInterfaceMethod(method) {
+    let code = '';
+    
+    // Annotations
+    if (method.annotations && method.annotations.length > 0) {
+      method.annotations.forEach(annotation => {
+        code += this.indent() + this.generateAnnotation(annotation) + '\n';
+      });
+    }
+    
+    // Method signature
+    code += this.indent();
+    
+    // Modifiers (but skip abstract for interface methods)
+    if (method.modifiers && method.modifiers.length > 0) {
+      method.modifiers.forEach(mod => {
+        if (mod.name !== 'abstract') {
+          code += mod.name + ' ';
+        }
+      });
+    }
+    
+    // Type parameters of a generic method
+    if (method.typeParameters && method.typeParameters.length > 0) {
+      code += this.generateTypeParameters(method.typeParameters) + ' ';
+    }
+    
+    // Return type
+    if (method.returnType) {
+      code += this.generateType(method.returnType) + ' ';
     }
     
     // Method name
@@ -1126,18 +1612,24 @@ class JavaGenerator {
     
     // Parameters
     if (method.parameters && method.parameters.length > 0) {
-      const params = method.parameters.map(param => {
-        let paramStr = param.type.name;
-        if (param.type.isArray) {
-          paramStr += '[]'.repeat(param.type.arrayDimensions || 1);
-        }
-        paramStr += ' ' + param.name;
-        return paramStr;
-      });
-      code += params.join(', ');
+      code += method.parameters.map(param => this.generateParameter(param)).join(', ');
     }
     
-    code += ');\n\n';
+    code += ')' + this.generateThrows(method.throws);
+    
+    // default, static and private interface methods carry a body
+    if (method.body) {
+      code += ' {\n';
+      this.indentLevel++;
+      method.body.statements.forEach(stmt => {
+        code += this.generateStatement(stmt);
+      });
+      code += this.generateInnerComments(method.body);
+      this.indentLevel--;
+      code += this.indent() + '}\n\n';
+    } else {
+      code += ';\n\n';
+    }
     
     return code;
   }
@@ -1163,13 +1655,14 @@ class JavaGenerator {
       });
     }
     
+    // Type parameters of a generic method
+    if (method.typeParameters && method.typeParameters.length > 0) {
+      code += this.generateTypeParameters(method.typeParameters) + ' ';
+    }
+    
     // Return type
     if (method.returnType) {
-      code += method.returnType.name;
-      if (method.returnType.isArray) {
-        code += '[]'.repeat(method.returnType.arrayDimensions || 1);
-      }
-      code += ' ';
+      code += this.generateType(method.returnType) + ' ';
     }
     
     // Method name
@@ -1177,18 +1670,10 @@ class JavaGenerator {
     
     // Parameters
     if (method.parameters && method.parameters.length > 0) {
-      const params = method.parameters.map(param => {
-        let paramStr = param.type.name;
-        if (param.type.isArray) {
-          paramStr += '[]'.repeat(param.type.arrayDimensions || 1);
-        }
-        paramStr += ' ' + param.name;
-        return paramStr;
-      });
-      code += params.join(', ');
+      code += method.parameters.map(param => this.generateParameter(param)).join(', ');
     }
     
-    code += ') {\n';
+    code += ')' + this.generateThrows(method.throws) + ' {\n';
     
     // Method body
     if (method.body && method.body.statements) {
@@ -1196,6 +1681,7 @@ class JavaGenerator {
       method.body.statements.forEach(stmt => {
         code += this.generateStatement(stmt);
       });
+      code += this.generateInnerComments(method.body);
       this.indentLevel--;
     }
     
@@ -1208,6 +1694,10 @@ class JavaGenerator {
   generateStatement(stmt) {
     if (!stmt) return '';
     
+    return this.withComments(stmt, this.generateStatementWithoutComments(stmt));
+  }
+
+  generateStatementWithoutComments(stmt) {
     switch (stmt.type) {
       case 'VariableDeclaration':
         return this.generateVariableDeclaration(stmt);
@@ -1217,6 +1707,8 @@ class JavaGenerator {
         return this.generateReturnStatement(stmt);
       case 'ForStatement':
         return this.generateForStatement(stmt);
+      case 'EnhancedForStatement':
+        return this.generateEnhancedForStatement(stmt);
       case 'WhileStatement':
         return this.generateWhileStatement(stmt);
       case 'DoWhileStatement':
@@ -1225,6 +1717,33 @@ class JavaGenerator {
         return this.generateIfStatement(stmt);
       case 'TryStatement':
         return this.generateTryStatement(stmt);
+      case 'SwitchStatement':
+        return this.indent() + this.generateSwitch(stmt) + '\n';
+      case 'YieldStatement':
+        return this.indent() + 'yield ' + this.generateExpression(stmt.expression) + ';\n';
+      case 'Block':
+        return this.indent() + this.generateInlineBlock(stmt) + '\n';
+      case 'BreakStatement':
+        return this.indent() + 'break' + (stmt.label ? ' ' + stmt.label : '') + ';\n';
+      case 'ContinueStatement':
+        return this.indent() + 'continue' + (stmt.label ? ' ' + stmt.label : '') + ';\n';
+      case 'ThrowStatement':
+        return this.indent() + 'throw ' + this.generateExpression(stmt.expression) + ';\n';
+      case 'SynchronizedStatement':
+        return this.indent() + 'synchronized (' + this.generateExpression(stmt.lock) + ') ' +
+               this.generateInlineBlock(stmt.body) + '\n';
+      case 'AssertStatement':
+        return this.indent() + 'assert ' + this.generateExpression(stmt.condition) +
+               (stmt.message ? ' : ' + this.generateExpression(stmt.message) : '') + ';\n';
+      case 'LabeledStatement':
+        return this.indent() + stmt.label + ': ' + this.generateStatement(stmt.body).trimStart();
+      case 'ClassDeclaration':
+      case 'InterfaceDeclaration':
+      case 'EnumDeclaration':
+      case 'RecordDeclaration':
+        return this.generateTypeDeclaration(stmt);
+      case 'ErrorNode':
+        return this.generateErrorNode(stmt);
       default:
         return this.indent() + '// Unknown statement type: ' + stmt.type + '\n';
     }
@@ -1232,26 +1751,29 @@ class JavaGenerator {
 
   // Generate variable declaration
   generateVariableDeclaration(stmt) {
-    let code = this.indent();
+    return this.indent() + this.generateVariableDeclarationHead(stmt) + ';\n';
+  }
+
+  // Generate a variable declaration without indentation or the trailing ';' (also used in for headers)
+  generateVariableDeclarationHead(stmt) {
+    let code = '';
+    
+    if (stmt.annotations && stmt.annotations.length > 0) {
+      code += stmt.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
+    }
+    
+    if (stmt.modifiers && stmt.modifiers.length > 0) {
+      code += stmt.modifiers.map(mod => mod.name).join(' ') + ' ';
+    }
     
     if (stmt.variableType) {
-      code += stmt.variableType.name;
-      if (stmt.variableType.isArray) {
-        code += '[]'.repeat(stmt.variableType.arrayDimensions || 1);
-      }
+      code += this.generateType(stmt.variableType);
     }
     
     // Handle both old format (single variable) and new format (multiple variables)
     if (stmt.variables) {
       // New format: multiple variables
-      const variableStrings = stmt.variables.map(variable => {
-        let varCode = variable.name;
-        if (variable.initializer) {
-          varCode += ' = ' + this.generateExpression(variable.initializer);
-        }
-        return varCode;
-      });
-      code += ' ' + variableStrings.join(', ');
+      code += ' ' + this.generateDeclarators(stmt.variables);
     } else {
       // Old format: single variable (for backward compatibility)
       code += ' ' + stmt.name;
@@ -1260,10 +1782,20 @@ class JavaGenerator {
       }
     }
     
-    code += ';\n';
     return code;
   }
 
+  // Generate comma-separated declarators of a variable or field declaration: a, b[] = {1}, c = 2
+  generateDeclarators(variables) {
+    return variables.map(variable => {
+      let code = variable.name + this.generateDimensions(variable.arrayDimensions || 0, variable.dimensionAnnotations);
+      if (variable.initializer) {
+        code += ' = ' + this.generateExpression(variable.initializer);
+      }
+      return code;
+    }).join(', ');
+  }
+
   // Generate expression statement
   generateExpressionStatement(stmt) {
     let code = this.indent();
@@ -1286,115 +1818,66 @@ class JavaGenerator {
   generateForStatement(stmt) {
     let code = this.indent() + 'for (';
     
-    // Handle the for loop components from tokens if available
-    if (stmt.tokens && stmt.tokens.length > 0) {
-      // Extract the content between parentheses
-      let inParens = false;
-      let parenContent = [];
-      
-      for (let token of stmt.tokens) {
-        if (token.type === 'LPAREN') {
-          inParens = true;
-          continue;
-        }
-        if (token.type === 'RPAREN') {
-          inParens = false;
-          break;
-        }
-        if (inParens) {
-          parenContent.push(token);
-        }
-      }
-      
-      // Generate proper for loop syntax
-      if (parenContent.length > 0) {
-        let forContent = '';
-        let semicolonCount = 0;
-        
-        for (let i = 0; i < parenContent.length; i++) {
-          let token = parenContent[i];
-          
-          if (token.type === 'SEMICOLON') {
-            semicolonCount++;
-            forContent += '; ';
-          } else if (token.type === 'INT') {
-            forContent += 'int ';
-          } else if (token.type === 'IDENTIFIER') {
-            forContent += token.value;
-          } else if (token.type === 'ASSIGN') {
-            forContent += ' = ';
-          } else if (token.type === 'NUMBER') {
-            forContent += token.value;
-          } else if (token.type === 'LT' || token.type === 'LESS_THAN') {
-            forContent += ' < ';
-          } else if (token.type === 'INCREMENT') {
-            forContent += token.value;
-          } else {
-            forContent += token.value;
-          }
-        }
-        
-        code += forContent;
+    // The init is either a single variable declaration or a list of expressions
+    code += (stmt.init || []).map(init => {
+      if (init.type === 'VariableDeclaration') {
+        return this.generateVariableDeclarationHead(init);
       }
-    } else {
-      // Fallback for basic for loop structure
-      code += 'int i = 0; i < 10; i++';
+      return this.generateExpression(init);
+    }).join(', ');
+    code += ';';
+    
+    if (stmt.condition) {
+      code += ' ' + this.generateExpression(stmt.condition);
     }
+    code += ';';
     
-    code += ') ';
+    if (stmt.update && stmt.update.length > 0) {
+      code += ' ' + stmt.update.map(update => this.generateExpression(update)).join(', ');
+    }
     
-    // Generate the body
-    if (stmt.body) {
-      if (stmt.body.type === 'Block') {
-        code += '{\n';
-        this.indentLevel++;
-        if (stmt.body.statements) {
-          stmt.body.statements.forEach(bodyStmt => {
-            code += this.generateStatement(bodyStmt);
-          });
-        }
-        this.indentLevel--;
-        code += this.indent() + '}\n';
-      } else if (stmt.body.type === 'ExpressionStatement' && stmt.body.expression && stmt.body.expression.tokens) {
-        // Handle expression statement body that contains block tokens
-        const tokens = stmt.body.expression.tokens;
-        let hasOpenBrace = tokens.some(t => t.type === 'LBRACE');
-        
-        if (hasOpenBrace) {
-          code += '{\n';
-          this.indentLevel++;
-          
-          // Extract the actual statement content (skip the opening brace)
-          let statementTokens = tokens.filter(t => t.type !== 'LBRACE');
-          if (statementTokens.length > 0) {
-            code += this.indent();
-            statementTokens.forEach(token => {
-              if (token.type === 'STRING') {
-                code += `"${token.value}"`;
-              } else {
-                code += token.value;
-              }
-            });
-            code += ';\n';
-          }
-          
-          this.indentLevel--;
-          code += this.indent() + '}\n';
-        } else {
-          // Single statement body
-          this.indentLevel++;
-          code += '\n' + this.generateStatement(stmt.body);
-          this.indentLevel--;
-        }
-      } else {
-        // Single statement body
-        this.indentLevel++;
-        code += '\n' + this.generateStatement(stmt.body);
-        this.indentLevel--;
-      }
+    code += ') ' + this.generateLoopBody(stmt.body);
+    
+    return code;
+  }
+
+  // Generate enhanced for statement
+  generateEnhancedForStatement(stmt) {
+    let code = this.indent() + 'for (';
+    
+    if (stmt.annotations && stmt.annotations.length > 0) {
+      code += stmt.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
+    }
+    
+    if (stmt.modifiers && stmt.modifiers.length > 0) {
+      code += stmt.modifiers.map(mod => mod.name).join(' ') + ' ';
+    }
+    
+    code += this.generateType(stmt.variableType) + ' ' + stmt.name + ' : ' +
+            this.generateExpression(stmt.iterable) + ') ';
+    code += this.generateLoopBody(stmt.body);
+    
+    return code;
+  }
+
+  // Generate a loop body, always wrapped in braces
+  generateLoopBody(body) {
+    if (!body) {
+      return '{\n' + this.indent() + '}\n';
+    }
+    
+    let code = '{\n';
+    this.indentLevel++;
+    if (body.type === 'Block') {
+      (body.statements || []).forEach(bodyStmt => {
+        code += this.generateStatement(bodyStmt);
+      });
+      code += this.generateInnerComments(body);
     } else {
-      code += '{\n' + this.indent() + '    // TODO: Add for loop body\n' + this.indent() + '}\n';
+      code += this.generateStatement(body);
     }
+    this.indentLevel--;
+    code += this.indent() + '}\n';
     
     return code;
   }
@@ -1404,52 +1887,9 @@ class JavaGenerator {
     let code = this.indent() + 'while (';
     
     // Generate condition
-    if (stmt.condition && stmt.condition.tokens) {
-      code += stmt.condition.tokens.map(token => {
-        if (token.type === 'IDENTIFIER') {
-          return token.value;
-        } else if (token.type === 'LESS_THAN' || token.type === 'LT') {
-          return ' < ';
-        } else if (token.type === 'GREATER_THAN' || token.type === 'GT') {
-          return ' > ';
-        } else if (token.type === 'EQUAL' || token.type === 'EQUALS') {
-          return ' == ';
-        } else if (token.type === 'NOT_EQUAL') {
-          return ' != ';
-        } else if (token.type === 'LESS_EQUAL') {
-          return ' <= ';
-        } else if (token.type === 'GREATER_EQUAL') {
-          return ' >= ';
-        } else if (token.type === 'NUMBER') {
-          return token.value;
-        } else {
-          return token.value;
-        }
-      }).join('');
-    }
+    code += this.generateExpression(stmt.condition);
     
-    code += ') ';
-    
-    // Generate body
-    if (stmt.body) {
-      if (stmt.body.type === 'Block') {
-        code += '{\n';
-        this.indentLevel++;
-        if (stmt.body.statements) {
-          stmt.body.statements.forEach(bodyStmt => {
-            code += this.generateStatement(bodyStmt);
-          });
-        }
-        this.indentLevel--;
-        code += this.indent() + '}\n';
-      } else {
-        code += '{\n';
-        this.indentLevel++;
-        code += this.generateStatement(stmt.body);
-        this.indentLevel--;
-        code += this.indent() + '}\n';
-      }
-    }
+    code += ') ' + this.generateLoopBody(stmt.body);
     
     return code;
   }
@@ -1458,53 +1898,13 @@ class JavaGenerator {
   generateDoWhileStatement(stmt) {
     let code = this.indent() + 'do ';
     
-    // Generate body
-    if (stmt.body) {
-      if (stmt.body.type === 'Block') {
-        code += '{\n';
-        this.indentLevel++;
-        if (stmt.body.statements) {
-          stmt.body.statements.forEach(bodyStmt => {
-            code += this.generateStatement(bodyStmt);
-          });
-        }
-        this.indentLevel--;
-        code += this.indent() + '}';
-      } else {
-        code += '{\n';
-        this.indentLevel++;
-        code += this.generateStatement(stmt.body);
-        this.indentLevel--;
-        code += this.indent() + '}';
-      }
-    }
+    // Generate body; the condition follows its closing brace
+    code += this.generateLoopBody(stmt.body).replace(/\n$/, '');
     
     code += ' while (';
     
     // Generate condition
-    if (stmt.condition && stmt.condition.tokens) {
-      code += stmt.condition.tokens.map(token => {
-        if (token.type === 'IDENTIFIER') {
-          return token.value;
-        } else if (token.type === 'LESS_THAN' || token.type === 'LT') {
-          return ' < ';
-        } else if (token.type === 'GREATER_THAN' || token.type === 'GT') {
-          return ' > ';
-        } else if (token.type === 'EQUAL' || token.type === 'EQUALS') {
-          return ' == ';
-        } else if (token.type === 'NOT_EQUAL') {
-          return ' != ';
-        } else if (token.type === 'LESS_EQUAL') {
-          return ' <= ';
-        } else if (token.type === 'GREATER_EQUAL') {
-          return ' >= ';
-        } else if (token.type === 'NUMBER') {
-          return token.value;
-        } else {
-          return token.value;
-        }
-      }).join('');
-    }
+    code += this.generateExpression(stmt.condition);
     
     code += ');\n';
     
@@ -1516,29 +1916,7 @@ class JavaGenerator {
     let code = this.indent() + 'if (';
     
     // Generate condition
-    if (stmt.condition && stmt.condition.tokens) {
-      code += stmt.condition.tokens.map(token => {
-        if (token.type === 'IDENTIFIER') {
-          return token.value;
-        } else if (token.type === 'LESS_THAN' || token.type === 'LT') {
-          return ' < ';
-        } else if (token.type === 'GREATER_THAN' || token.type === 'GT') {
-          return ' > ';
-        } else if (token.type === 'EQUAL' || token.type === 'EQUALS') {
-          return ' == ';
-        } else if (token.type === 'NOT_EQUAL') {
-          return ' != ';
-        } else if (token.type === 'LESS_EQUAL') {
-          return ' <= ';
-        } else if (token.type === 'GREATER_EQUAL') {
-          return ' >= ';
-        } else if (token.type === 'NUMBER') {
-          return token.value;
-        } else {
-          return token.value;
-        }
-      }).join('');
-    }
+    code += this.generateExpression(stmt.condition);
     
     code += ') ';
     
@@ -1551,6 +1929,7 @@ class JavaGenerator {
           stmt.thenStatement.statements.forEach(bodyStmt => {
             code += this.generateStatement(bodyStmt);
           });
+          code += this.generateInnerComments(stmt.thenStatement);
         }
         this.indentLevel--;
         code += this.indent() + '}';
@@ -1573,6 +1952,7 @@ class JavaGenerator {
           stmt.elseStatement.statements.forEach(bodyStmt => {
             code += this.generateStatement(bodyStmt);
           });
+          code += this.generateInnerComments(stmt.elseStatement);
         }
         this.indentLevel--;
         code += this.indent() + '}';
@@ -1593,6 +1973,16 @@ class JavaGenerator {
   generateTryStatement(stmt) {
     let code = this.indent() + 'try ';
     
+    // Generate resources
+    if (stmt.resources && stmt.resources.length > 0) {
+      code += '(' + stmt.resources.map(resource => {
+        if (resource.type === 'VariableDeclaration') {
+          return this.generateVariableDeclarationHead(resource);
+        }
+        return this.generateExpression(resource);
+      }).join('; ') + ') ';
+    }
+    
     // Generate try block
     if (stmt.tryBlock) {
       code += '{\n';
@@ -1601,6 +1991,7 @@ class JavaGenerator {
         stmt.tryBlock.statements.forEach(bodyStmt => {
           code += this.generateStatement(bodyStmt);
         });
+        code += this.generateInnerComments(stmt.tryBlock);
       }
       this.indentLevel--;
       code += this.indent() + '}';
@@ -1609,16 +2000,7 @@ class JavaGenerator {
     // Generate catch blocks
     if (stmt.catchBlocks && stmt.catchBlocks.length > 0) {
       stmt.catchBlocks.forEach(catchBlock => {
-        code += ' catch (';
-        
-        // Generate catch parameter
-        if (catchBlock.parameter && catchBlock.parameter.tokens) {
-          code += catchBlock.parameter.tokens.map(token => token.value).join(' ');
-        } else {
-          code += 'Exception e';
-        }
-        
-        code += ') {\n';
+        code += ' catch (' + this.generateCatchParameter(catchBlock.parameter) + ') {\n';
         this.indentLevel++;
         
         // Generate catch block body
@@ -1626,6 +2008,7 @@ class JavaGenerator {
           catchBlock.body.statements.forEach(bodyStmt => {
             code += this.generateStatement(bodyStmt);
           });
+          code += this.generateInnerComments(catchBlock.body);
         } else {
           code += this.indent() + '// TODO: Handle exception\n';
         }
@@ -1643,6 +2026,7 @@ class JavaGenerator {
         stmt.finallyBlock.statements.forEach(bodyStmt => {
           code += this.generateStatement(bodyStmt);
         });
+        code += this.generateInnerComments(stmt.finallyBlock);
       }
       this.indentLevel--;
       code += this.indent() + '}';
@@ -1652,41 +2036,467 @@ class JavaGenerator {
     return code;
   }
 
+  // Generate catch parameter: modifiers Type1 | Type2 name
+  generateCatchParameter(parameter) {
+    if (!parameter) {
+      return 'Exception e';
+    }
+    
+    let code = '';
+    if (parameter.annotations && parameter.annotations.length > 0) {
+      code += parameter.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
+    }
+    if (parameter.modifiers && parameter.modifiers.length > 0) {
+      code += parameter.modifiers.map(mod => mod.name).join(' ') + ' ';
+    }
+    
+    return code + parameter.exceptionTypes.map(type => this.generateType(type)).join(' | ') + ' ' + parameter.name;
+  }
+
+  // Generate type reference
+  generateType(type) {
+    if (!type || type.type === 'MissingNode') return '';
+    
+    let code = '';
+    if (type.annotations && type.annotations.length > 0) {
+      code += type.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
+    }
+    
+    if (type.type === 'WildcardType') {
+      code += '?';
+      if (type.extendsBound) {
+        code += ' extends ' + this.generateType(type.extendsBound);
+      } else if (type.superBound) {
+        code += ' super ' + this.generateType(type.superBound);
+      }
+      return code;
+    }
+    
+    // Outer<String>.Inner: the scope carries the outer part with its own type arguments
+    if (type.scope) {
+      code += this.generateType(type.scope) + '.' + type.nameParts.slice(type.scope.nameParts.length).join('.');
+    } else {
+      code += type.name;
+    }
+    
+    if (type.typeArguments) {
+      code += '<' + type.typeArguments.map(t => this.generateType(t)).join(', ') + '>';
+    }
+    
+    if (type.isArray) {
+      code += this.generateDimensions(type.arrayDimensions || 1, type.dimensionAnnotations);
+    }
+    return code;
+  }
+
+  // Generate '[]' per array dimension, each after its type annotations: String @NonNull [][]
+  generateDimensions(count, dimensionAnnotations) {
+    let code = '';
+    for (let i = 0; i < count; i++) {
+      const annotations = (dimensionAnnotations && dimensionAnnotations[i]) || [];
+      code += annotations.length > 0
+        ? ' ' + annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' []'
+        : '[]';
+    }
+    return code;
+  }
+
+  // Generate a throws clause ( throws IOException, java.sql.SQLException), or an empty string
+  generateThrows(exceptionTypes) {
+    if (!exceptionTypes || exceptionTypes.length === 0) {
+      return '';
+    }
+    
+    return ' throws ' + exceptionTypes.map(type => this.generateType(type)).join(', ');
+  }
+
+  // Generate type parameter list: <T, U extends Comparable<? super U> & Serializable>
+  generateTypeParameters(typeParameters) {
+    if (!typeParameters || typeParameters.length === 0) {
+      return '';
+    }
+    
+    return '<' + typeParameters.map(param => {
+      // Older ASTs stored type parameters as plain names
+      if (typeof param === 'string') {
+        return param;
+      }
+      
+      let code = '';
+      if (param.annotations && param.annotations.length > 0) {
+        code += param.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
+      }
+      code += param.name;
+      if (param.bounds && param.bounds.length > 0) {
+        code += ' extends ' + param.bounds.map(bound => this.generateType(bound)).join(' & ');
+      }
+      return code;
+    }).join(', ') + '>';
+  }
+
   // Generate expression
   generateExpression(expr) {
     if (!expr) return '';
     
+    switch (expr.type) {
+      case 'Literal':
+        return this.generateLiteral(expr);
+      case 'Identifier':
+        return expr.name;
+      case 'ThisExpression':
+        return expr.qualifier ? this.generateOperand(expr.qualifier, PRIMARY_PRECEDENCE) + '.this' : 'this';
+      case 'SuperExpression':
+        return expr.qualifier ? this.generateOperand(expr.qualifier, PRIMARY_PRECEDENCE) + '.super' : 'super';
+      case 'ClassLiteral':
+        return this.generateType(expr.classType) + '.class';
+      case 'FieldAccess':
+      case 'ArrayAccess':
+      case 'MethodInvocation':
+      case 'BinaryExpression':
+        return this.generateChain(expr);
+      case 'ExplicitConstructorInvocation':
+        return (expr.qualifier ? this.generateOperand(expr.qualifier, PRIMARY_PRECEDENCE) + '.' : '') +
+               expr.kind + this.generateArguments(expr.arguments);
+      case 'ObjectCreationExpression':
+        return this.generateObjectCreation(expr);
+      case 'ArrayCreationExpression':
+        return this.generateArrayCreation(expr);
+      case 'ArrayInitializer':
+        return this.generateArrayInitializer(expr);
+      case 'Annotation':
+        return this.generateAnnotation(expr); // nested annotation used as an element value
+      case 'UnaryExpression':
+        return this.generateUnaryExpression(expr);
+      case 'InstanceOfExpression':
+        return this.generateOperand(expr.expression, RELATIONAL_PRECEDENCE) + ' instanceof ' +
+               (expr.pattern ? this.generateExpression(expr.pattern) : this.generateType(expr.targetType));
+      case 'AssignmentExpression':
+        return this.generateOperand(expr.target, POSTFIX_PRECEDENCE) + ' ' + expr.operator + ' ' +
+               this.generateOperand(expr.value, ASSIGNMENT_PRECEDENCE);
+      case 'ConditionalExpression':
+        return this.generateOperand(expr.condition, CONDITIONAL_PRECEDENCE + 1) + ' ? ' +
+               this.generateExpression(expr.thenExpression) + ' : ' +
+               this.generateLambdaOrOperand(expr.elseExpression, CONDITIONAL_PRECEDENCE);
+      case 'CastExpression':
+        return '(' + [expr.castType].concat(expr.additionalBounds || []).map(type => this.generateType(type)).join(' & ') +
+               ') ' + this.generateLambdaOrOperand(expr.expression, UNARY_PRECEDENCE);
+      case 'LambdaExpression':
+        return this.generateLambdaExpression(expr);
+      case 'SwitchExpression':
+        return this.generateSwitch(expr);
+      case 'TypePattern':
+        return (expr.annotations || []).map(annotation => this.generateAnnotation(annotation) + ' ').join('') +
+               (expr.modifiers || []).map(mod => mod.name + ' ').join('') +
+               this.generateType(expr.patternType) + ' ' + expr.name;
+      case 'RecordPattern':
+        return this.generateType(expr.recordType) +
+               '(' + expr.components.map(component => this.generateExpression(component)).join(', ') + ')';
+      case 'MethodReference':
+        return this.generateMethodReference(expr);
+      case 'MissingNode':
+        return '';
+      case 'ErrorNode':
+        return expr.tokens.map(token => token.raw).join(' ');
+    }
+    
+    // Legacy token-list expressions
     if (expr.tokens && expr.tokens.length > 0) {
-      return expr.tokens.map((token, index) => {
-        // Handle string literals properly
-        if (token.type === 'STRING_LITERAL' || token.type === 'STRING') {
-          return `"${token.value}"`;
-        }
-        
-        // Handle character literals properly
-        if (token.type === 'CHAR') {
-          return `'${token.value}'`;
-        }
-        
-        // Add spacing around operators (but not for generic type parameters)
-        const isGenericContext = (index > 0 && expr.tokens[index - 1] && expr.tokens[index - 1].type === 'IDENTIFIER') || 
-                                (index < expr.tokens.length - 1 && expr.tokens[index + 1] && expr.tokens[index + 1].type === 'IDENTIFIER');
-        
-        const needsSpaceBefore = ['ASSIGN', 'PLUS', 'MINUS', 'MULTIPLY', 'DIVIDE', 'EQUALS', 'NOT_EQUALS'].includes(token.type) ||
-                                (['LESS_THAN', 'GREATER_THAN'].includes(token.type) && !isGenericContext);
-        const needsSpaceAfter = ['ASSIGN', 'PLUS', 'MINUS', 'MULTIPLY', 'DIVIDE', 'EQUALS', 'NOT_EQUALS', 'NEW', 'TRY', 'CATCH', 'FINALLY', 'IF', 'ELSE', 'FOR', 'WHILE', 'INT', 'DOUBLE', 'BOOLEAN_TYPE', 'FLOAT', 'LONG', 'SHORT', 'BYTE', 'CHAR_TYPE', 'VOID'].includes(token.type) ||
-                               (['LESS_THAN', 'GREATER_THAN'].includes(token.type) && !isGenericContext);
-        
-        let result = token.value;
-        if (needsSpaceBefore && index > 0) result = ' ' + result;
-        if (needsSpaceAfter && index < expr.tokens.length - 1) result = result + ' ';
-        
-        return result;
-      }).join('');
+      return this.generateTokenExpression(expr);
     }
     
     return '/* expression */';
   }
+
+  // Generate a sub-expression, parenthesized if it binds looser than its context requires
+  generateOperand(expr, minPrecedence) {
+    const code = this.generateExpression(expr);
+    return expressionPrecedence(expr) < minPrecedence ? '(' + code + ')' : code;
+  }
+
+  // Lambdas may stand unparenthesized as a cast operand or conditional branch
+  generateLambdaOrOperand(expr, minPrecedence) {
+    if (expr && expr.type === 'LambdaExpression') {
+      return this.generateExpression(expr);
+    }
+    return this.generateOperand(expr, minPrecedence);
+  }
+
+  // Generate literal; the original lexeme is preferred so 0xFF, 1_000L and text blocks round-trip
+  generateLiteral(expr) {
+    if (typeof expr.raw === 'string') {
+      return expr.raw;
+    }
+    
+    switch (expr.literalType) {
+      case 'STRING':
+        return '"' + escapeJavaString(expr.value, '"') + '"';
+      case 'CHAR':
+        return "'" + escapeJavaString(expr.value, "'") + "'";
+      case 'NULL':
+        return 'null';
+      default:
+        return String(expr.value);
+    }
+  }
+
+  // Generate argument list including parentheses
+  generateArguments(args) {
+    return '(' + (args || []).map(arg => this.generateExpression(arg)).join(', ') + ')';
+  }
+
+  // Generate a chain of links (see CHAIN_OPERANDS) from the innermost operand outwards
+  generateChain(expr) {
+    const links = [];
+    let operand = expr;
+    while (operand && CHAIN_OPERANDS[operand.type]) {
+      links.push(operand);
+      operand = operand[CHAIN_OPERANDS[operand.type]];
+    }
+    
+    // operand is null below an unqualified method call
+    let code = operand ? this.generateExpression(operand) : '';
+    for (let i = links.length - 1; i >= 0; i--) {
+      const link = links[i];
+      operand = link[CHAIN_OPERANDS[link.type]];
+      const precedence = link.type === 'BinaryExpression' ? BINARY_PRECEDENCE[link.operator] : PRIMARY_PRECEDENCE;
+      if (operand && expressionPrecedence(operand) < precedence) {
+        code = '(' + code + ')';
+      }
+      code += this.generateChainLink(link, operand);
+    }
+    return code;
+  }
+
+  // The text of a chain link after its operand: .name, [index], .<T>name(args), + right
+  generateChainLink(link, operand) {
+    switch (link.type) {
+      case 'FieldAccess':
+        return '.' + link.name;
+      case 'ArrayAccess':
+        return '[' + this.generateExpression(link.index) + ']';
+      case 'BinaryExpression':
+        return ' ' + link.operator + ' ' + this.generateOperand(link.right, BINARY_PRECEDENCE[link.operator] + 1);
+    }
+    
+    let code = operand ? '.' : '';
+    if (link.typeArguments && link.typeArguments.length > 0) {
+      code += '<' + link.typeArguments.map(t => this.generateType(t)).join(', ') + '>';
+    }
+    return code + link.name + this.generateArguments(link.arguments);
+  }
+
+  // Generate object creation: new Type(args)
+  generateObjectCreation(expr) {
+    let code = '';
+    
+    if (expr.outer) {
+      code += this.generateOperand(expr.outer, PRIMARY_PRECEDENCE) + '.';
+    }
+    
+    code += 'new ' + this.generateType(expr.objectType) + this.generateArguments(expr.arguments);
+    
+    // Anonymous class body, indented one level deeper than the enclosing statement
+    if (expr.body) {
+      code += ' {\n';
+      this.indentLevel++;
+      expr.body.statements.forEach(member => {
+        code += this.generateMember(member);
+      });
+      code += this.generateInnerComments(expr.body);
+      this.indentLevel--;
+      code += this.indent() + '}';
+    }
+    
+    return code;
+  }
+
+  // Generate array creation: new int[n][] or new int[] {1, 2}
+  generateArrayCreation(expr) {
+    let code = 'new ' + this.generateType(expr.elementType);
+    
+    (expr.dimensions || []).forEach(dimension => {
+      code += '[' + this.generateExpression(dimension) + ']';
+    });
+    code += '[]'.repeat(expr.extraDimensions || 0);
+    
+    if (expr.initializer) {
+      code += ' ' + this.generateArrayInitializer(expr.initializer);
+    }
+    
+    return code;
+  }
+
+  // Generate array initializer: {a, b, {c}}
+  generateArrayInitializer(expr) {
+    if (!expr.elements || expr.elements.length === 0) {
+      return '{}';
+    }
+    return '{' + expr.elements.map(element => this.generateExpression(element)).join(', ') + '}';
+  }
+
+  // Generate prefix or postfix unary expression
+  generateUnaryExpression(expr) {
+    if (!expr.prefix) {
+      return this.generateOperand(expr.operand, POSTFIX_PRECEDENCE) + expr.operator;
+    }
+    
+    const operand = this.generateOperand(expr.operand, UNARY_PRECEDENCE);
+    
+    // Keep "- -x" and "+ +x" from fusing into "--x" / "++x"
+    if ((expr.operator === '-' || expr.operator === '+') && operand[0] === expr.operator) {
+      return expr.operator + ' ' + operand;
+    }
+    return expr.operator + operand;
+  }
+
+  // Generate lambda expression: x -> expr, (a, b) -> { ... }
+  generateLambdaExpression(expr) {
+    const params = expr.parameters || [];
+    let code;
+    
+    if (params.length === 1 && !params[0].type) {
+      code = params[0].name;
+    } else {
+      code = '(' + params.map(param => param.type ? this.generateParameter(param) : param.name).join(', ') + ')';
+    }
+    code += ' -> ';
+    
+    if (expr.body && expr.body.type === 'Block') {
+      code += this.generateInlineBlock(expr.body);
+    } else {
+      code += this.generateExpression(expr.body);
+    }
+    
+    return code;
+  }
+
+  // Generate a block that opens on the current line: { ... } with the closing brace at the current indent
+  generateInlineBlock(block) {
+    if ((!block.statements || block.statements.length === 0) && !block.innerComments) {
+      return '{}';
+    }
+    
+    let code = '{\n';
+    this.indentLevel++;
+    (block.statements || []).forEach(stmt => {
+      code += this.generateStatement(stmt);
+    });
+    code += this.generateInnerComments(block);
+    this.indentLevel--;
+    
+    return code + this.indent() + '}';
+  }
+
+  // Generate switch statement or expression (without leading indent or trailing newline)
+  generateSwitch(node) {
+    let code = 'switch (' + this.generateExpression(node.selector) + ') {\n';
+    
+    this.indentLevel++;
+    (node.cases || []).forEach(switchCase => {
+      code += this.withComments(switchCase, switchCase.type === 'ErrorNode'
+        ? this.generateErrorNode(switchCase)
+        : this.generateSwitchCase(switchCase));
+    });
+    code += this.generateInnerComments(node);
+    this.indentLevel--;
+    
+    return code + this.indent() + '}';
+  }
+
+  // Generate a single 'case ...:' group or 'case ... ->' rule
+  generateSwitchCase(switchCase) {
+    let code = this.indent();
+    
+    if (switchCase.labels && switchCase.labels.length > 0) {
+      code += 'case ' + switchCase.labels.map(label => this.generateExpression(label)).join(', ');
+      if (switchCase.isDefault) {
+        code += ', default';
+      }
+    } else {
+      code += 'default';
+    }
+    
+    if (switchCase.guard) {
+      code += ' when ' + this.generateExpression(switchCase.guard);
+    }
+    
+    if (!switchCase.isArrow) {
+      code += ':\n';
+      this.indentLevel++;
+      (switchCase.statements || []).forEach(stmt => {
+        code += this.generateStatement(stmt);
+      });
+      this.indentLevel--;
+      return code;
+    }
+    
+    code += ' -> ';
+    const body = switchCase.body;
+    if (body.type === 'Block') {
+      code += this.generateInlineBlock(body) + '\n';
+    } else if (body.type === 'ThrowStatement') {
+      code += this.generateStatement(body).trimStart();
+    } else {
+      code += this.generateExpression(body) + ';\n';
+    }
+    
+    return code;
+  }
+
+  // Generate method reference: Type::method, expr::method, Type::new
+  generateMethodReference(expr) {
+    let code = expr.target.type === 'Type'
+      ? this.generateType(expr.target)
+      : this.generateOperand(expr.target, PRIMARY_PRECEDENCE);
+    
+    code += '::';
+    if (expr.typeArguments && expr.typeArguments.length > 0) {
+      code += '<' + expr.typeArguments.map(t => this.generateType(t)).join(', ') + '>';
+    }
+    
+    return code + expr.name;
+  }
+
+  // Generate parameter: @Annotation final Type name
+  generateParameter(param) {
+    let code = '';
+    if (param.annotations && param.annotations.length > 0) {
+      code += param.annotations.map(annotation => this.generateAnnotation(annotation)).join(' ') + ' ';
+    }
+    return code + (param.isFinal ? 'final ' : '') + this.generateType(param.type) +
+           (param.isVarArgs ? '... ' : ' ') + param.name +
+           this.generateDimensions(param.arrayDimensions || 0, param.dimensionAnnotations);
+  }
+
+  // Generate expression stored as a raw token list
+  generateTokenExpression(expr) {
+    return expr.tokens.map((token, index) => {
+      // Handle string literals properly
+      if (token.type === 'STRING_LITERAL' || token.type === 'STRING') {
+        return `"${token.value}"`;
+      }
+      
+      // Handle character literals properly
+      if (token.type === 'CHAR') {
+        return `'${token.value}'`;
+      }
+      
+      // Add spacing around operators (but not for generic type parameters)
+      const isGenericContext = (index > 0 && expr.tokens[index - 1] && expr.tokens[index - 1].type === 'IDENTIFIER') || 
+                              (index < expr.tokens.length - 1 && expr.tokens[index + 1] && expr.tokens[index + 1].type === 'IDENTIFIER');
+      
+      const needsSpaceBefore = ['ASSIGN', 'PLUS', 'MINUS', 'MULTIPLY', 'DIVIDE', 'EQUALS', 'NOT_EQUALS'].includes(token.type) ||
+                              (['LESS_THAN', 'GREATER_THAN'].includes(token.type) && !isGenericContext);
+      const needsSpaceAfter = ['ASSIGN', 'PLUS', 'MINUS', 'MULTIPLY', 'DIVIDE', 'EQUALS', 'NOT_EQUALS', 'NEW', 'TRY', 'CATCH', 'FINALLY', 'IF', 'ELSE', 'FOR', 'WHILE', 'INT', 'DOUBLE', 'BOOLEAN_TYPE', 'FLOAT', 'LONG', 'SHORT', 'BYTE', 'CHAR_TYPE', 'VOID'].includes(token.type) ||
+                             (['LESS_THAN', 'GREATER_THAN'].includes(token.type) && !isGenericContext);
+      
+      let result = token.value;
+      if (needsSpaceBefore && index > 0) result = ' ' + result;
+      if (needsSpaceAfter && index < expr.tokens.length - 1) result = result + ' ';
+      
+      return result;
+    }).join('');
+  }
 }
 
 module.exports = { JavaCodeGenerator, JavaGenerator };
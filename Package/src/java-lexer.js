@@ -1,12 +1,36 @@
 // Java-specific Lexer for parsing functions, methods, and imports
 
+const {
+  DiagnosticCode,
+  DiagnosticSeverity,
+  tokenRange,
+  createDiagnostic
+} = require('./java-diagnostics');
+
 class Token {
-  constructor(type, value, line = 1, column = 1, position = 0) {
+  // value is the decoded value (numbers, unescaped strings); raw is the lexeme as written
+  constructor(type, value, line = 1, column = 1, position = 0, raw = value === null ? '' : String(value)) {
     this.type = type;
     this.value = value;
     this.line = line;
     this.column = column;
     this.position = position;
+    this.raw = raw;
+    this.setRange();
+  }
+
+  // start/end offsets and loc (1-based line and column) of the lexeme in the original source
+  setRange() {
+    const lines = this.raw.split('\n');
+    const endLine = this.line + lines.length - 1;
+    const endColumn = lines.length > 1 ? lines[lines.length - 1].length + 1 : this.column + this.raw.length;
+    
+    this.start = this.position;
+    this.end = this.position + this.raw.length;
+    this.loc = {
+      start: { line: this.line, column: this.column },
+      end: { line: endLine, column: endColumn }
+    };
   }
 
   toString() {
@@ -37,6 +61,7 @@ const JavaTokenType = {
   NATIVE: 'NATIVE',
   VOLATILE: 'VOLATILE',
   TRANSIENT: 'TRANSIENT',
+  STRICTFP: 'STRICTFP',
   
   CLASS: 'CLASS',
   INTERFACE: 'INTERFACE',
@@ -62,6 +87,7 @@ const JavaTokenType = {
   FINALLY: 'FINALLY',
   THROW: 'THROW',
   THROWS: 'THROWS',
+  ASSERT: 'ASSERT',
   
   NEW: 'NEW',
   THIS: 'THIS',
@@ -96,6 +122,12 @@ const JavaTokenType = {
   MULTIPLY_ASSIGN: 'MULTIPLY_ASSIGN', // *=
   DIVIDE_ASSIGN: 'DIVIDE_ASSIGN',     // /=
   MODULO_ASSIGN: 'MODULO_ASSIGN',     // %=
+  BITWISE_AND_ASSIGN: 'BITWISE_AND_ASSIGN',   // &=
+  BITWISE_OR_ASSIGN: 'BITWISE_OR_ASSIGN',     // |=
+  BITWISE_XOR_ASSIGN: 'BITWISE_XOR_ASSIGN',   // ^=
+  LEFT_SHIFT_ASSIGN: 'LEFT_SHIFT_ASSIGN',     // <<=
+  RIGHT_SHIFT_ASSIGN: 'RIGHT_SHIFT_ASSIGN',   // >>=
+  UNSIGNED_RIGHT_SHIFT_ASSIGN: 'UNSIGNED_RIGHT_SHIFT_ASSIGN', // >>>=
   
   // Comparison
   EQUAL: 'EQUAL',         // ==
@@ -134,6 +166,14 @@ const JavaTokenType = {
   COLON: 'COLON',         // :
   QUESTION: 'QUESTION',   // ?
   AT: 'AT',               // @
+  ARROW: 'ARROW',         // ->
+  COLON_COLON: 'COLON_COLON', // ::
+  ELLIPSIS: 'ELLIPSIS',   // ...
+  
+  // Comments (kept off the token stream, see JavaLexer.tokenize)
+  LINE_COMMENT: 'LINE_COMMENT',       // // ...
+  BLOCK_COMMENT: 'BLOCK_COMMENT',     // /* ... */
+  JAVADOC_COMMENT: 'JAVADOC_COMMENT', // /** ... */
   
   // Special
   NEWLINE: 'NEWLINE',
@@ -141,25 +181,143 @@ const JavaTokenType = {
   INVALID: 'INVALID'
 };
 
+const COMMENT_TYPES = new Set([
+  JavaTokenType.LINE_COMMENT,
+  JavaTokenType.BLOCK_COMMENT,
+  JavaTokenType.JAVADOC_COMMENT
+]);
+
+// Remove the incidental indentation of text block content: the smallest indentation among the
+// non-blank lines and the closing delimiter line, plus trailing whitespace on every line
+function stripTextBlockIndent(content) {
+  const lines = content.split('\n');
+  const lastIndex = lines.length - 1;
+  let minIndent = Infinity;
+  
+  lines.forEach((line, index) => {
+    if (line.trim() !== '' || index === lastIndex) {
+      minIndent = Math.min(minIndent, line.length - line.replace(/^[ \t\f]+/, '').length);
+    }
+  });
+  
+  return lines
+    .map(line => line.trim() === '' ? '' : line.slice(minIndent).replace(/[ \t\f]+$/, ''))
+    .join('\n');
+}
+
 class JavaLexerError extends Error {
-  constructor(message, line, column, position) {
+  constructor(message, line, column, position, code = DiagnosticCode.UNEXPECTED_CHARACTER) {
     super(message);
     this.name = 'JavaLexerError';
     this.line = line;
     this.column = column;
     this.position = position;
+    this.code = code;
+    this.diagnostic = null;
+  }
+}
+
+// Build a JavaLexerError carrying the diagnostic the parser reports for it. token is an INVALID
+// token covering the offending text, from the start of its lexeme to where the error was found.
+function lexerError(message, code, token) {
+  const error = new JavaLexerError(`${message} at line ${token.line}, column ${token.column}`,
+                                   token.line, token.column, token.start, code);
+  const range = tokenRange(token);
+  error.diagnostic = createDiagnostic(code, DiagnosticSeverity.ERROR, message, range.start, range.end, token);
+  return error;
+}
+
+// Character.isJavaIdentifierStart / isJavaIdentifierPart: letters, letter numbers, currency symbols
+// and connector punctuation start an identifier; digits, combining marks and ignorable format and
+// control characters may follow
+const IDENTIFIER_START = /[\p{L}\p{Nl}\p{Sc}\p{Pc}]/u;
+const IDENTIFIER_PART = /[\p{L}\p{Nl}\p{Sc}\p{Pc}\p{Nd}\p{Mn}\p{Mc}\p{Cf}\u0000-\u0008\u000E-\u001B\u007F-\u009F]/u;
+
+// JLS 3.3: replace every eligible \uXXXX escape (a backslash preceded by an even number of raw
+// backslashes, one or more u's, four hex digits) before lexing. offsets maps each translated
+// index to its index in the original source and is null when the source has no escapes.
+// With an errors array a malformed escape is recorded there and its backslash dropped.
+function translateUnicodeEscapes(source, errors = null) {
+  if (source.indexOf('\\u') === -1) {
+    return { text: source, offsets: null };
+  }
+  
+  const offsets = [];
+  let text = '';
+  let backslashes = 0;
+  let i = 0;
+  
+  while (i < source.length) {
+    if (source[i] === '\\' && source[i + 1] === 'u' && backslashes % 2 === 0) {
+      let end = i + 1;
+      while (source[end] === 'u') {
+        end++;
+      }
+      
+      const hex = source.substr(end, 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        const lines = source.slice(0, i).split('\n');
+        const raw = source.slice(i, end) + /^[0-9a-fA-F]*/.exec(hex)[0];
+        const token = new Token(JavaTokenType.INVALID, raw, lines.length, lines[lines.length - 1].length + 1, i, raw);
+        const error = lexerError('Invalid unicode escape sequence', DiagnosticCode.INVALID_ESCAPE, token);
+        if (errors === null) {
+          throw error;
+        }
+        errors.push(error);
+        backslashes = 0;
+        i++;
+        continue;
+      }
+      
+      text += String.fromCharCode(parseInt(hex, 16));
+      offsets.push(i);
+      backslashes = 0;
+      i = end + 4;
+      continue;
+    }
+    
+    backslashes = source[i] === '\\' ? backslashes + 1 : 0;
+    text += source[i];
+    offsets.push(i);
+    i++;
   }
+  
+  offsets.push(source.length);
+  return { text: text, offsets: offsets };
 }
 
 class JavaLexer {
-  constructor(text) {
-    this.text = text;
+  // Unicode escapes are translated up front; pass { unicodeEscapes: false } for already
+  // translated text. Token positions, lines and columns always refer to the original source.
+  // Options: unicodeEscapes: false leaves \uXXXX untranslated; recover: true collects lexical
+  // errors in this.errors and turns the offending text into INVALID tokens instead of throwing
+  constructor(text, options = {}) {
+    let translated = { text: text, offsets: null };
+    this.recover = options.recover === true;
+    this.errors = [];
+    this.translationError = null; // a malformed \uXXXX escape, thrown when tokenizing starts
+
+    if (options.unicodeEscapes !== false) {
+      try {
+        translated = translateUnicodeEscapes(text, this.recover ? this.errors : null);
+      } catch (error) {
+        this.translationError = error;
+      }
+    }
+    
+    this.source = text;
+    this.text = translated.text;
+    this.offsets = translated.offsets;
     this.pos = 0;
     this.line = 1;
     this.column = 1;
-    this.currentChar = this.text[this.pos];
+    this.lexemeStart = { pos: 0, line: 1, column: 1 }; // start of the token being scanned, for errors
+    this.currentChar = this.text.length > 0 ? this.text[0] : null;
+    this.comments = [];
     
-    // Java keywords mapping
+    // Java keywords mapping. Contextual keywords (sealed, non-sealed, permits, record, var,
+    // yield, when) are deliberately absent: they are lexed as IDENTIFIER tokens and the parser
+    // recognizes them by value where the grammar allows, so they stay usable as ordinary names.
     this.keywords = Object.create(null); // Create object without prototype
     Object.assign(this.keywords, {
       // Access modifiers
@@ -173,6 +331,7 @@ class JavaLexer {
       'native': JavaTokenType.NATIVE,
       'volatile': JavaTokenType.VOLATILE,
       'transient': JavaTokenType.TRANSIENT,
+      'strictfp': JavaTokenType.STRICTFP,
       
       // Class/Interface
       'class': JavaTokenType.CLASS,
@@ -202,6 +361,7 @@ class JavaLexer {
       'finally': JavaTokenType.FINALLY,
       'throw': JavaTokenType.THROW,
       'throws': JavaTokenType.THROWS,
+      'assert': JavaTokenType.ASSERT,
       
       // Object-oriented
       'new': JavaTokenType.NEW,
@@ -227,21 +387,29 @@ class JavaLexer {
     });
   }
 
-  error(message) {
-    throw new JavaLexerError(
-      `${message} at line ${this.line}, column ${this.column}`,
-      this.line,
-      this.column,
-      this.pos
-    );
+  // Report an error in the lexeme being scanned, covering it from its start to the current position
+  // and the given number of offending characters there
+  error(message, code = DiagnosticCode.UNEXPECTED_CHARACTER, offending = 0) {
+    const start = this.lexemeStart;
+    const position = this.sourceOffset(start.pos);
+    const raw = this.source.slice(position, this.sourceOffset(Math.min(this.pos + offending, this.text.length)));
+    throw lexerError(message, code, new Token(JavaTokenType.INVALID, raw, start.line, start.column, position, raw));
+  }
+
+  // Map an index in the translated text back to the original source
+  sourceOffset(pos) {
+    return this.offsets === null ? pos : this.offsets[pos];
   }
 
   advance() {
-    if (this.currentChar === '\n') {
+    // A translated \u000a is a line terminator for the grammar but not for line numbering
+    const width = this.offsets === null ? 1 : this.offsets[this.pos + 1] - this.offsets[this.pos];
+    
+    if (this.currentChar === '\n' && width === 1) {
       this.line++;
       this.column = 1;
     } else {
-      this.column++;
+      this.column += width;
     }
     
     this.pos++;
@@ -252,6 +420,14 @@ class JavaLexer {
     }
   }
 
+  // The full code point at the current position, so supplementary characters stay whole
+  currentCodePoint() {
+    if (this.currentChar === null) {
+      return null;
+    }
+    return String.fromCodePoint(this.text.codePointAt(this.pos));
+  }
+
   peek(offset = 1) {
     const peekPos = this.pos + offset;
     if (peekPos >= this.text.length) {
@@ -266,128 +442,241 @@ class JavaLexer {
     }
   }
 
-  skipComment() {
+  // Read a comment; the token value is the text between the delimiters, raw the whole comment
+  readComment() {
+    const startLine = this.line;
+    const startColumn = this.column;
+    const startPos = this.pos;
+    let value = '';
+    
     // Single line comment: //
-    if (this.currentChar === '/' && this.peek() === '/') {
-      while (this.currentChar !== null && this.currentChar !== '\n') {
-        this.advance();
-      }
-    }
-    // Multi-line comment: /* */
-    else if (this.currentChar === '/' && this.peek() === '*') {
+    if (this.peek() === '/') {
+      this.advance(); // skip '/'
       this.advance(); // skip '/'
-      this.advance(); // skip '*'
       
-      while (this.currentChar !== null) {
-        if (this.currentChar === '*' && this.peek() === '/') {
-          this.advance(); // skip '*'
-          this.advance(); // skip '/'
-          break;
-        }
+      while (this.currentChar !== null && this.currentChar !== '\n') {
+        value += this.currentChar;
         this.advance();
       }
+      
+      // Keep a \r of a CRLF line ending out of the comment text
+      value = value.replace(/\r$/, '');
+      return new Token(JavaTokenType.LINE_COMMENT, value, startLine, startColumn, startPos,
+                       this.text.slice(startPos, startPos + 2 + value.length));
     }
-    // Javadoc comment: /** */
-    else if (this.currentChar === '/' && this.peek() === '*' && this.peek(2) === '*') {
-      this.advance(); // skip '/'
-      this.advance(); // skip first '*'
+    
+    // Multi-line comment /* */ or Javadoc comment /** */ (but not the empty comment /**/)
+    const isJavadoc = this.peek(2) === '*' && this.peek(3) !== '/';
+    this.advance(); // skip '/'
+    this.advance(); // skip '*'
+    if (isJavadoc) {
       this.advance(); // skip second '*'
-      
-      while (this.currentChar !== null) {
-        if (this.currentChar === '*' && this.peek() === '/') {
-          this.advance(); // skip '*'
-          this.advance(); // skip '/'
-          break;
-        }
-        this.advance();
-      }
     }
+    
+    while (this.currentChar !== null && !(this.currentChar === '*' && this.peek() === '/')) {
+      value += this.currentChar;
+      this.advance();
+    }
+    
+    if (this.currentChar === null) {
+      this.error('Unterminated comment', DiagnosticCode.UNTERMINATED_COMMENT);
+    }
+    this.advance(); // skip '*'
+    this.advance(); // skip '/'
+    
+    const tokenType = isJavadoc ? JavaTokenType.JAVADOC_COMMENT : JavaTokenType.BLOCK_COMMENT;
+    return new Token(tokenType, value, startLine, startColumn, startPos, this.text.slice(startPos, this.pos));
   }
 
-  readNumber() {
+  // Read a run of digits matching digitPattern; underscores may only appear between digits
+  readDigits(digitPattern) {
     let result = '';
-    let hasDecimal = false;
+    
+    while (this.currentChar !== null && (digitPattern.test(this.currentChar) || this.currentChar === '_')) {
+      result += this.currentChar;
+      this.advance();
+    }
+    
+    if (result.startsWith('_') || result.endsWith('_')) {
+      this.error('Invalid number format: underscores must appear between digits', DiagnosticCode.INVALID_NUMBER);
+    }
+    return result;
+  }
+
+  // Read an exponent part (e10, p-3); the exponent itself is always decimal
+  readExponent() {
+    let result = this.currentChar;
+    this.advance();
+    
+    if (this.currentChar && /[+-]/.test(this.currentChar)) {
+      result += this.currentChar;
+      this.advance();
+    }
+    
+    if (!this.currentChar || !/\d/.test(this.currentChar)) {
+      this.error('Invalid number format: expected digits after exponent', DiagnosticCode.INVALID_NUMBER);
+    }
+    return result + this.readDigits(/\d/);
+  }
+
+  // Integer, floating-point, hex, octal and binary literals with underscores and type suffixes.
+  // The token value is the decoded JavaScript number (int literals wrap to 32 bits like Java does)
+  // and raw keeps the lexeme exactly as written.
+  readNumber() {
     let isFloat = false;
     let isLong = false;
+    let isDecimal = false;
+    let integer = null; // BigInt-parsable digits of integer literals
+    let value;
     const startLine = this.line;
     const startColumn = this.column;
     const startPos = this.pos;
 
-    // Handle hex numbers (0x...)
+    // Hex integers (0xFF) and hex floating-point literals (0x1.8p1)
     if (this.currentChar === '0' && this.peek() && /[xX]/.test(this.peek())) {
-      result += this.currentChar;
       this.advance();
-      result += this.currentChar;
       this.advance();
       
-      while (this.currentChar !== null && /[0-9a-fA-F]/.test(this.currentChar)) {
-        result += this.currentChar;
+      const whole = this.readDigits(/[0-9a-fA-F]/);
+      let fraction = '';
+      
+      if (this.currentChar === '.') {
+        isFloat = true;
         this.advance();
+        fraction = this.readDigits(/[0-9a-fA-F]/);
+      }
+      if (!whole && !fraction) {
+        this.error('Invalid number format: expected hex digits', DiagnosticCode.INVALID_NUMBER);
+      }
+      
+      if (isFloat || (this.currentChar && /[pP]/.test(this.currentChar))) {
+        if (!this.currentChar || !/[pP]/.test(this.currentChar)) {
+          this.error('Invalid number format: hex floating-point literal requires a binary exponent',
+                     DiagnosticCode.INVALID_NUMBER);
+        }
+        isFloat = true;
+        const exponent = this.readExponent().slice(1).replace(/_/g, '');
+        const digits = (whole + fraction).replace(/_/g, '');
+        const mantissa = parseInt(digits || '0', 16) / Math.pow(16, fraction.replace(/_/g, '').length);
+        value = mantissa * Math.pow(2, parseInt(exponent, 10));
+      } else {
+        integer = '0x' + whole;
       }
     }
-    // Handle octal numbers (0...)
-    else if (this.currentChar === '0' && this.peek() && /[0-7]/.test(this.peek())) {
-      while (this.currentChar !== null && /[0-7]/.test(this.currentChar)) {
-        result += this.currentChar;
-        this.advance();
+    // Binary integers (0b1010)
+    else if (this.currentChar === '0' && this.peek() && /[bB]/.test(this.peek())) {
+      this.advance();
+      this.advance();
+      
+      const digits = this.readDigits(/[01]/);
+      if (!digits) {
+        this.error('Invalid number format: expected binary digits', DiagnosticCode.INVALID_NUMBER);
       }
+      integer = '0b' + digits;
     }
-    // Handle decimal numbers
+    // Decimal and octal literals
     else {
-      while (this.currentChar !== null && /\d/.test(this.currentChar)) {
-        result += this.currentChar;
-        this.advance();
-      }
+      let digits = this.readDigits(/\d/);
 
-      // Handle decimal part
-      if (this.currentChar === '.' && /\d/.test(this.peek())) {
-        hasDecimal = true;
-        result += this.currentChar;
+      // Fraction part; a literal may also start with the dot (.5) or end with it (1.)
+      if (this.currentChar === '.' && (digits || /\d/.test(this.peek()))) {
+        isFloat = true;
+        digits += '.';
         this.advance();
         
-        while (this.currentChar !== null && /\d/.test(this.currentChar)) {
-          result += this.currentChar;
-          this.advance();
+        if (this.currentChar && /\d/.test(this.currentChar)) {
+          digits += this.readDigits(/\d/);
         }
       }
 
-      // Handle scientific notation (e.g., 1e10, 2.5e-3)
+      // Scientific notation (e.g., 1e10, 2.5e-3)
       if (this.currentChar && /[eE]/.test(this.currentChar)) {
-        result += this.currentChar;
-        this.advance();
-        
-        if (this.currentChar && /[+-]/.test(this.currentChar)) {
-          result += this.currentChar;
-          this.advance();
-        }
-        
-        if (!this.currentChar || !/\d/.test(this.currentChar)) {
-          this.error('Invalid number format: expected digits after exponent');
-        }
-        
-        while (this.currentChar !== null && /\d/.test(this.currentChar)) {
-          result += this.currentChar;
-          this.advance();
+        isFloat = true;
+        digits += this.readExponent();
+      }
+      
+      if (this.currentChar && /[fFdD]/.test(this.currentChar)) {
+        isFloat = true;
+      }
+      
+      if (isFloat) {
+        value = parseFloat(digits.replace(/_/g, ''));
+      } else if (digits.length > 1 && digits[0] === '0') {
+        if (!/^0[0-7_]*$/.test(digits)) {
+          this.error('Invalid number format: octal literals may only contain digits 0-7', DiagnosticCode.INVALID_NUMBER);
         }
+        integer = '0o' + digits.slice(1);
+      } else {
+        integer = digits;
+        isDecimal = true;
       }
     }
 
-    // Handle suffixes (L for long, F for float, D for double)
-    if (this.currentChar && /[lLfFdD]/.test(this.currentChar)) {
-      if (/[lL]/.test(this.currentChar)) {
-        isLong = true;
-      } else if (/[fF]/.test(this.currentChar)) {
-        isFloat = true;
+    // Suffixes (L for long, F for float, D for double)
+    if (this.currentChar && /[lL]/.test(this.currentChar) && !isFloat) {
+      isLong = true;
+      this.advance();
+    } else if (this.currentChar && /[fFdD]/.test(this.currentChar)) {
+      if (/[fF]/.test(this.currentChar)) {
+        value = Math.fround(value);
       }
-      result += this.currentChar;
       this.advance();
     }
+    
+    if (this.currentChar !== null && IDENTIFIER_PART.test(this.currentCodePoint())) {
+      this.error(`Invalid number format: unexpected '${this.currentChar}'`, DiagnosticCode.INVALID_NUMBER,
+                 this.currentCodePoint().length);
+    }
+    
+    // Hex, octal and binary literals denote their two's complement value (0xFFFFFFFF is -1)
+    if (integer !== null) {
+      const big = BigInt(integer.replace(/_/g, ''));
+      value = Number(isDecimal ? big : BigInt.asIntN(isLong ? 64 : 32, big));
+    }
+
+    const raw = this.text.slice(startPos, this.pos);
+    return new Token(JavaTokenType.NUMBER, value, startLine, startColumn, startPos, raw);
+  }
 
-    const value = hasDecimal || isFloat ? parseFloat(result) : parseInt(result, 10);
-    return new Token(JavaTokenType.NUMBER, value, startLine, startColumn, startPos);
+  // Decode the escape sequence at the current backslash and return its value
+  readEscape() {
+    this.advance(); // skip backslash
+    const ch = this.currentChar;
+    
+    switch (ch) {
+      case 'n': this.advance(); return '\n';
+      case 't': this.advance(); return '\t';
+      case 'r': this.advance(); return '\r';
+      case 'b': this.advance(); return '\b';
+      case 'f': this.advance(); return '\f';
+      case 's': this.advance(); return ' ';
+      case '\\': this.advance(); return '\\';
+      case '\'': this.advance(); return '\'';
+      case '"': this.advance(); return '"';
+    }
+    
+    // Octal escapes: \0 to \377
+    if (ch !== null && /[0-7]/.test(ch)) {
+      const maxLength = /[0-3]/.test(ch) ? 3 : 2;
+      let octal = '';
+      while (octal.length < maxLength && this.currentChar !== null && /[0-7]/.test(this.currentChar)) {
+        octal += this.currentChar;
+        this.advance();
+      }
+      return String.fromCharCode(parseInt(octal, 8));
+    }
+    
+    if (ch === null) {
+      this.error('Unterminated string literal', DiagnosticCode.UNTERMINATED_STRING);
+    }
+    this.error(`Invalid escape sequence '\\${ch}'`, DiagnosticCode.INVALID_ESCAPE, 1);
   }
 
   readString(quote) {
+    if (quote === '"' && this.peek() === '"' && this.peek(2) === '"') {
+      return this.readTextBlock();
+    }
+    
     let result = '';
     const startLine = this.line;
     const startColumn = this.column;
@@ -395,56 +684,87 @@ class JavaLexer {
     
     this.advance(); // skip opening quote
 
-    while (this.currentChar !== null && this.currentChar !== quote) {
+    while (this.currentChar !== null && this.currentChar !== quote && this.currentChar !== '\n') {
       if (this.currentChar === '\\') {
-        this.advance();
-        if (this.currentChar === null) {
-          this.error('Unterminated string literal');
-        }
-        
-        // Handle escape sequences
-        switch (this.currentChar) {
-          case 'n': result += '\n'; break;
-          case 't': result += '\t'; break;
-          case 'r': result += '\r'; break;
-          case 'b': result += '\b'; break;
-          case 'f': result += '\f'; break;
-          case '\\': result += '\\'; break;
-          case '\'': result += '\''; break;
-          case '"': result += '"'; break;
-          case '0': result += '\0'; break;
-          default:
-            // Unicode escape sequences (\uXXXX)
-            if (this.currentChar === 'u') {
-              this.advance();
-              let unicode = '';
-              for (let i = 0; i < 4; i++) {
-                if (this.currentChar && /[0-9a-fA-F]/.test(this.currentChar)) {
-                  unicode += this.currentChar;
-                  this.advance();
-                } else {
-                  this.error('Invalid unicode escape sequence');
-                }
-              }
-              result += String.fromCharCode(parseInt(unicode, 16));
-              continue;
-            } else {
-              result += this.currentChar;
-            }
-        }
+        result += this.readEscape();
       } else {
         result += this.currentChar;
+        this.advance();
       }
-      this.advance();
     }
 
     if (this.currentChar !== quote) {
-      this.error('Unterminated string literal');
+      this.error(quote === '"' ? 'Unterminated string literal' : 'Unterminated character literal',
+                 DiagnosticCode.UNTERMINATED_STRING);
     }
     
     this.advance(); // skip closing quote
+    
+    if (quote === "'" && result.length !== 1) {
+      this.error('Character literal must contain exactly one character', DiagnosticCode.INVALID_CHARACTER_LITERAL);
+    }
+    
     const tokenType = quote === '"' ? JavaTokenType.STRING : JavaTokenType.CHAR;
-    return new Token(tokenType, result, startLine, startColumn, startPos);
+    return new Token(tokenType, result, startLine, startColumn, startPos, this.text.slice(startPos, this.pos));
+  }
+
+  // Text blocks: """ <line terminator> content """. Incidental indentation and trailing spaces
+  // are stripped before escapes are interpreted, as in JLS 3.10.6.
+  readTextBlock() {
+    const startLine = this.line;
+    const startColumn = this.column;
+    const startPos = this.pos;
+    
+    this.advance(); this.advance(); this.advance(); // skip opening """
+    
+    while (this.currentChar !== null && /[ \t\f]/.test(this.currentChar)) {
+      this.advance();
+    }
+    if (this.currentChar === '\r') {
+      this.advance();
+    }
+    if (this.currentChar !== '\n') {
+      this.error('Text block opening delimiter must be followed by a line terminator', DiagnosticCode.INVALID_TEXT_BLOCK);
+    }
+    this.advance();
+    
+    // Collect the content with escapes still in place so \""" does not close the block
+    let content = '';
+    while (this.currentChar !== null && !(this.currentChar === '"' && this.peek() === '"' && this.peek(2) === '"')) {
+      if (this.currentChar === '\\' && this.peek() !== null) {
+        content += this.currentChar;
+        this.advance();
+      }
+      content += this.currentChar;
+      this.advance();
+    }
+    
+    if (this.currentChar === null) {
+      this.error('Unterminated text block', DiagnosticCode.UNTERMINATED_STRING);
+    }
+    this.advance(); this.advance(); this.advance(); // skip closing """
+    
+    const value = this.interpretEscapes(stripTextBlockIndent(content.replace(/\r\n?/g, '\n')));
+    return new Token(JavaTokenType.STRING, value, startLine, startColumn, startPos, this.text.slice(startPos, this.pos));
+  }
+
+  // Interpret the escapes of stripped text block content, including \<newline> line continuations
+  interpretEscapes(content) {
+    const lexer = new JavaLexer(content, { unicodeEscapes: false });
+    let result = '';
+    
+    while (lexer.currentChar !== null) {
+      if (lexer.currentChar === '\\' && lexer.peek() === '\n') {
+        lexer.advance();
+        lexer.advance();
+      } else if (lexer.currentChar === '\\') {
+        result += lexer.readEscape();
+      } else {
+        result += lexer.currentChar;
+        lexer.advance();
+      }
+    }
+    return result;
   }
 
   readIdentifier() {
@@ -453,14 +773,17 @@ class JavaLexer {
     const startColumn = this.column;
     const startPos = this.pos;
 
-    // First character must be letter, underscore, or dollar sign
-    if (!/[a-zA-Z_$]/.test(this.currentChar)) {
+    let ch = this.currentCodePoint();
+    if (ch === null || !IDENTIFIER_START.test(ch)) {
       this.error('Invalid identifier start character');
     }
 
-    while (this.currentChar !== null && /[a-zA-Z0-9_$]/.test(this.currentChar)) {
-      result += this.currentChar;
-      this.advance();
+    while (ch !== null && IDENTIFIER_PART.test(ch)) {
+      result += ch;
+      for (let i = 0; i < ch.length; i++) {
+        this.advance();
+      }
+      ch = this.currentCodePoint();
     }
 
     // Check if it's a keyword
@@ -470,11 +793,28 @@ class JavaLexer {
     return new Token(tokenType, value, startLine, startColumn, startPos);
   }
 
+  // Read the next token; positions and raw lexemes are reported against the original source
   getNextToken() {
+    if (this.translationError) {
+      throw this.translationError;
+    }
+    
+    const token = this.recover ? this.scanTokenOrInvalid() : this.scanToken();
+
+    if (this.offsets !== null) {
+      token.raw = this.source.slice(this.offsets[token.position], this.offsets[this.pos]);
+      token.position = this.offsets[token.position];
+      token.setRange();
+    }
+    return token;
+  }
+
+  scanToken() {
     while (this.currentChar !== null) {
       const startLine = this.line;
       const startColumn = this.column;
       const startPos = this.pos;
+      this.lexemeStart = { pos: startPos, line: startLine, column: startColumn };
 
       // Skip whitespace
       if (/[ \t\r]/.test(this.currentChar)) {
@@ -490,12 +830,11 @@ class JavaLexer {
 
       // Handle comments
       if (this.currentChar === '/' && (this.peek() === '/' || this.peek() === '*')) {
-        this.skipComment();
-        continue;
+        return this.readComment();
       }
 
-      // Numbers
-      if (/\d/.test(this.currentChar)) {
+      // Numbers, including floating-point literals that start with a dot (.5)
+      if (/\d/.test(this.currentChar) || (this.currentChar === '.' && /\d/.test(this.peek()))) {
         return this.readNumber();
       }
 
@@ -505,15 +844,32 @@ class JavaLexer {
       }
 
       // Identifiers and keywords
-      if (/[a-zA-Z_$]/.test(this.currentChar)) {
+      if (IDENTIFIER_START.test(this.currentCodePoint())) {
         return this.readIdentifier();
       }
 
+      // Four-character operators
+      const fourChar = this.currentChar + (this.peek() || '') + (this.peek(2) || '') + (this.peek(3) || '');
+      if (fourChar === '>>>=') {
+        this.advance(); this.advance(); this.advance(); this.advance();
+        return new Token(JavaTokenType.UNSIGNED_RIGHT_SHIFT_ASSIGN, '>>>=', startLine, startColumn, startPos);
+      }
+
       // Three-character operators
       const threeChar = this.currentChar + (this.peek() || '') + (this.peek(2) || '');
-      if (threeChar === '>>>') {
-        this.advance(); this.advance(); this.advance();
-        return new Token(JavaTokenType.UNSIGNED_RIGHT_SHIFT, '>>>', startLine, startColumn, startPos);
+      switch (threeChar) {
+        case '>>>':
+          this.advance(); this.advance(); this.advance();
+          return new Token(JavaTokenType.UNSIGNED_RIGHT_SHIFT, '>>>', startLine, startColumn, startPos);
+        case '<<=':
+          this.advance(); this.advance(); this.advance();
+          return new Token(JavaTokenType.LEFT_SHIFT_ASSIGN, '<<=', startLine, startColumn, startPos);
+        case '>>=':
+          this.advance(); this.advance(); this.advance();
+          return new Token(JavaTokenType.RIGHT_SHIFT_ASSIGN, '>>=', startLine, startColumn, startPos);
+        case '...':
+          this.advance(); this.advance(); this.advance();
+          return new Token(JavaTokenType.ELLIPSIS, '...', startLine, startColumn, startPos);
       }
 
       // Two-character operators
@@ -540,6 +896,15 @@ class JavaLexer {
         case '%=':
           this.advance(); this.advance();
           return new Token(JavaTokenType.MODULO_ASSIGN, '%=', startLine, startColumn, startPos);
+        case '&=':
+          this.advance(); this.advance();
+          return new Token(JavaTokenType.BITWISE_AND_ASSIGN, '&=', startLine, startColumn, startPos);
+        case '|=':
+          this.advance(); this.advance();
+          return new Token(JavaTokenType.BITWISE_OR_ASSIGN, '|=', startLine, startColumn, startPos);
+        case '^=':
+          this.advance(); this.advance();
+          return new Token(JavaTokenType.BITWISE_XOR_ASSIGN, '^=', startLine, startColumn, startPos);
         case '==':
           this.advance(); this.advance();
           return new Token(JavaTokenType.EQUAL, '==', startLine, startColumn, startPos);
@@ -564,6 +929,12 @@ class JavaLexer {
         case '>>':
           this.advance(); this.advance();
           return new Token(JavaTokenType.RIGHT_SHIFT, '>>', startLine, startColumn, startPos);
+        case '->':
+          this.advance(); this.advance();
+          return new Token(JavaTokenType.ARROW, '->', startLine, startColumn, startPos);
+        case '::':
+          this.advance(); this.advance();
+          return new Token(JavaTokenType.COLON_COLON, '::', startLine, startColumn, startPos);
       }
 
       // Single-character tokens
@@ -644,19 +1015,87 @@ class JavaLexer {
           this.advance();
           return new Token(JavaTokenType.AT, '@', startLine, startColumn, startPos);
         default:
-          this.error(`Unexpected character '${this.currentChar}'`);
+          this.error(`Unexpected character '${this.currentCodePoint()}'`, DiagnosticCode.UNEXPECTED_CHARACTER,
+                     this.currentCodePoint().length);
       }
     }
 
     return new Token(JavaTokenType.EOF, null, this.line, this.column, this.pos);
   }
 
+  // Recover mode: a lexical error is recorded and the malformed lexeme becomes an INVALID token
+  scanTokenOrInvalid() {
+    this.skipWhitespace();
+    const start = { pos: this.pos, line: this.line, column: this.column };
+
+    try {
+      return this.scanToken();
+    } catch (error) {
+      if (!(error instanceof JavaLexerError)) {
+        throw error;
+      }
+      this.errors.push(error);
+
+      const errorPos = this.pos;
+      this.pos = start.pos;
+      this.line = start.line;
+      this.column = start.column;
+      this.currentChar = this.text[start.pos];
+      this.skipInvalidLexeme(errorPos);
+
+      const raw = this.text.slice(start.pos, this.pos);
+      return new Token(JavaTokenType.INVALID, raw, start.line, start.column, start.pos, raw);
+    }
+  }
+
+  // Skip a malformed lexeme from its first character: a string or character literal up to its
+  // closing quote or the end of the line, a text block up to its closing delimiter, anything else
+  // up to where the error was found plus the rest of that word (at least one character)
+  skipInvalidLexeme(errorPos) {
+    const quote = this.currentChar;
+
+    if (quote === '"' || quote === "'") {
+      const textBlock = quote === '"' && this.peek() === '"' && this.peek(2) === '"';
+      const delimiter = textBlock ? '"""' : quote;
+
+      this.skipChars(delimiter.length);
+      while (this.currentChar !== null && (textBlock || this.currentChar !== '\n')) {
+        if (this.text.startsWith(delimiter, this.pos)) {
+          this.skipChars(delimiter.length);
+          return;
+        }
+        this.skipChars(this.currentChar === '\\' ? 2 : 1);
+      }
+      return;
+    }
+
+    if (errorPos === this.pos) {
+      this.skipChars(this.currentCodePoint().length);
+      return;
+    }
+
+    this.skipChars(errorPos - this.pos);
+    while (this.currentChar !== null && IDENTIFIER_PART.test(this.currentCodePoint())) {
+      this.advance();
+    }
+  }
+
+  skipChars(count) {
+    for (let i = 0; i < count && this.currentChar !== null; i++) {
+      this.advance();
+    }
+  }
+
+  // Returns the significant tokens; comment tokens go to the separate this.comments trivia list
   tokenize() {
     const tokens = [];
+    this.comments = [];
     let token = this.getNextToken();
     
     while (token.type !== JavaTokenType.EOF) {
-      if (token.type !== JavaTokenType.NEWLINE) { // Skip newlines for simplicity
+      if (COMMENT_TYPES.has(token.type)) {
+        this.comments.push(token);
+      } else if (token.type !== JavaTokenType.NEWLINE) { // Skip newlines for simplicity
         tokens.push(token);
       }
       token = this.getNextToken();
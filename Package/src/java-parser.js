@@ -1,5 +1,59 @@
 // Java Parser focused on Functions, Methods, and Imports
-const {  JavaTokenType } = require('./java-lexer');
+const { Token, JavaTokenType, JavaLexerError } = require('./java-lexer');
+const {
+  DiagnosticCode,
+  DiagnosticSeverity,
+  tokenRange,
+  createDiagnostic,
+  formatDiagnostic
+} = require('./java-diagnostics');
+
+// Binary operator precedence (higher binds tighter), used by binaryExpression()
+const BINARY_PRECEDENCE = {
+  [JavaTokenType.OR]: 1,
+  [JavaTokenType.AND]: 2,
+  [JavaTokenType.BITWISE_OR]: 3,
+  [JavaTokenType.BITWISE_XOR]: 4,
+  [JavaTokenType.BITWISE_AND]: 5,
+  [JavaTokenType.EQUAL]: 6,
+  [JavaTokenType.NOT_EQUAL]: 6,
+  [JavaTokenType.LESS_THAN]: 7,
+  [JavaTokenType.GREATER_THAN]: 7,
+  [JavaTokenType.LESS_EQUAL]: 7,
+  [JavaTokenType.GREATER_EQUAL]: 7,
+  [JavaTokenType.INSTANCEOF]: 7,
+  [JavaTokenType.LEFT_SHIFT]: 8,
+  [JavaTokenType.RIGHT_SHIFT]: 8,
+  [JavaTokenType.UNSIGNED_RIGHT_SHIFT]: 8,
+  [JavaTokenType.PLUS]: 9,
+  [JavaTokenType.MINUS]: 9,
+  [JavaTokenType.MULTIPLY]: 10,
+  [JavaTokenType.DIVIDE]: 10,
+  [JavaTokenType.MODULO]: 10
+};
+
+const ASSIGNMENT_OPERATORS = [
+  JavaTokenType.ASSIGN, JavaTokenType.PLUS_ASSIGN, JavaTokenType.MINUS_ASSIGN,
+  JavaTokenType.MULTIPLY_ASSIGN, JavaTokenType.DIVIDE_ASSIGN, JavaTokenType.MODULO_ASSIGN,
+  JavaTokenType.BITWISE_AND_ASSIGN, JavaTokenType.BITWISE_OR_ASSIGN, JavaTokenType.BITWISE_XOR_ASSIGN,
+  JavaTokenType.LEFT_SHIFT_ASSIGN, JavaTokenType.RIGHT_SHIFT_ASSIGN, JavaTokenType.UNSIGNED_RIGHT_SHIFT_ASSIGN
+];
+
+const PRIMITIVE_TYPES = [
+  JavaTokenType.BOOLEAN_TYPE, JavaTokenType.BYTE, JavaTokenType.SHORT, JavaTokenType.INT,
+  JavaTokenType.LONG, JavaTokenType.FLOAT, JavaTokenType.DOUBLE, JavaTokenType.CHAR_TYPE
+];
+
+const LITERAL_TYPES = [
+  JavaTokenType.NUMBER, JavaTokenType.STRING, JavaTokenType.CHAR,
+  JavaTokenType.BOOLEAN, JavaTokenType.NULL
+];
+
+const COMMENT_NODE_TYPES = {
+  [JavaTokenType.LINE_COMMENT]: 'LineComment',
+  [JavaTokenType.BLOCK_COMMENT]: 'BlockComment',
+  [JavaTokenType.JAVADOC_COMMENT]: 'JavadocComment'
+};
 
 // AST Node Base Class
 class JavaASTNode {
@@ -37,6 +91,9 @@ class MethodDeclaration extends JavaASTNode {
     this.modifiers = modifiers;
     this.body = body;
     this.annotations = annotations || [];
+    this.typeParameters = [];
+    this.throws = []; // exception types of the throws clause
+    this.kind = null; // interface methods: 'abstract', 'default', 'static' or 'private'
     this.isConstructor = false;
   }
 }
@@ -49,7 +106,10 @@ class ConstructorDeclaration extends JavaASTNode {
     this.modifiers = modifiers;
     this.body = body;
     this.annotations = annotations || [];
+    this.typeParameters = [];
+    this.throws = []; // exception types of the throws clause
     this.isConstructor = true;
+    this.isCompact = false; // record compact canonical constructor: Name { ... }
   }
 }
 
@@ -59,6 +119,20 @@ class Parameter extends JavaASTNode {
     this.name = name;
     this.type = type;
     this.isFinal = isFinal;
+    this.isVarArgs = false; // String... args
+    this.arrayDimensions = 0; // C-style brackets after the name: String args[]
+    this.dimensionAnnotations = []; // annotations of each of those brackets (see Type)
+    this.isReceiver = false; // explicit receiver: Outer Outer.this
+    this.annotations = [];
+  }
+}
+
+// Static or instance initializer: static { ... } / { ... }
+class InitializerBlock extends JavaASTNode {
+  constructor(body, isStatic = false, line, column) {
+    super('InitializerBlock', line, column);
+    this.body = body;
+    this.isStatic = isStatic;
   }
 }
 
@@ -83,8 +157,10 @@ class ClassDeclaration extends JavaASTNode {
     super('ClassDeclaration', line, column);
     this.name = name;
     this.modifiers = modifiers;
+    this.typeParameters = [];
     this.superClass = superClass;
     this.interfaces = interfaces || [];
+    this.permits = [];
     this.body = body;
     this.annotations = annotations || [];
   }
@@ -95,7 +171,9 @@ class InterfaceDeclaration extends JavaASTNode {
     super('InterfaceDeclaration', line, column);
     this.name = name;
     this.modifiers = modifiers;
+    this.typeParameters = [];
     this.interfaces = interfaces || [];
+    this.permits = [];
     this.body = body;
     this.annotations = annotations || [];
   }
@@ -113,13 +191,81 @@ class EnumDeclaration extends JavaASTNode {
   }
 }
 
+class EnumConstant extends JavaASTNode {
+  constructor(name, args, body, annotations, line, column) {
+    super('EnumConstant', line, column);
+    this.name = name;
+    this.arguments = args; // null when the constant has no argument list
+    this.body = body; // class body of a constant-specific class, or null
+    this.annotations = annotations || [];
+  }
+}
+
+class AnnotationTypeDeclaration extends JavaASTNode {
+  constructor(name, modifiers, body, annotations, line, column) {
+    super('AnnotationTypeDeclaration', line, column);
+    this.name = name;
+    this.modifiers = modifiers;
+    this.body = body;
+    this.annotations = annotations || [];
+  }
+}
+
+class RecordDeclaration extends JavaASTNode {
+  constructor(name, modifiers, typeParameters, components, interfaces, body, annotations, line, column) {
+    super('RecordDeclaration', line, column);
+    this.name = name;
+    this.modifiers = modifiers;
+    this.typeParameters = typeParameters || [];
+    this.components = components || [];
+    this.interfaces = interfaces || [];
+    this.body = body;
+    this.annotations = annotations || [];
+  }
+}
+
+class RecordComponent extends JavaASTNode {
+  constructor(name, componentType, isVarArgs = false, annotations, line, column) {
+    super('RecordComponent', line, column);
+    this.name = name;
+    this.componentType = componentType;
+    this.isVarArgs = isVarArgs;
+    this.annotations = annotations || [];
+  }
+}
+
 // Type AST Nodes
 class Type extends JavaASTNode {
   constructor(name, isArray = false, arrayDimensions = 0, line, column) {
     super('Type', line, column);
-    this.name = name;
+    this.name = name; // qualified name without type arguments, e.g. java.util.Map
+    this.nameParts = name ? name.split('.') : [];
+    this.typeArguments = null; // null for raw/primitive types, [] for the diamond <>
+    this.scope = null; // outer type when it has its own type arguments: Outer<String>.Inner
+    this.annotations = [];
     this.isArray = isArray;
     this.arrayDimensions = arrayDimensions;
+    this.dimensionAnnotations = []; // per dimension, outermost first: String @A [] [] -> [[@A], []]
+  }
+}
+
+// Wildcard type argument: ?, ? extends Bound, ? super Bound
+class WildcardType extends JavaASTNode {
+  constructor(extendsBound, superBound, annotations, line, column) {
+    super('WildcardType', line, column);
+    this.extendsBound = extendsBound || null;
+    this.superBound = superBound || null;
+    this.annotations = annotations || [];
+  }
+}
+
+// Declared type variable: T, T extends Comparable<? super T> & Serializable
+class TypeParameter extends JavaASTNode {
+  constructor(name, bounds, annotations, line, column) {
+    super('TypeParameter', line, column);
+    this.name = name;
+    this.bounds = bounds || [];
+    this.annotations = annotations || [];
   }
 }
 
@@ -138,44 +284,376 @@ class Block extends JavaASTNode {
   }
 }
 
+// Recover mode placeholders: ErrorNode stands for tokens skipped over because they could not be
+// parsed, MissingNode for a required expression or type that is absent
+class ErrorNode extends JavaASTNode {
+  constructor(message, tokens, line, column) {
+    super('ErrorNode', line, column);
+    this.message = message;
+    this.tokens = tokens || [];
+  }
+}
+
+class MissingNode extends JavaASTNode {
+  constructor(expected, line, column) {
+    super('MissingNode', line, column);
+    this.expected = expected; // 'expression' or 'type'
+  }
+}
+
 class CompilationUnit extends JavaASTNode {
   constructor(packageDecl, imports, typeDeclarations) {
-    super('CompilationUnit');
+    super('CompilationUnit', 1, 1);
     this.packageDeclaration = packageDecl;
     this.imports = imports || [];
     this.typeDeclarations = typeDeclarations || [];
   }
 }
 
+// Javadoc comment: /** ... */ with its main description and tags parsed out.
+// value keeps the text between the delimiters so the comment can be re-emitted unchanged.
+// locate(from, to) maps a range of value to { start, end, loc } for the tags (see parseJavadoc).
+class JavadocComment extends JavaASTNode {
+  constructor(value, line, column, locate = null) {
+    super('JavadocComment', line, column);
+    this.value = value;
+    
+    const parsed = parseJavadoc(value, locate);
+    this.summary = parsed.summary;
+    this.description = parsed.description;
+    this.inlineTags = parsed.inlineTags;
+    this.blockTags = parsed.blockTags;
+  }
+}
+
+// Block tags whose first word names something: @param name, @throws Type, @exception Type
+const JAVADOC_NAMED_TAGS = ['param', 'throws', 'exception'];
+
+// Split Javadoc text into the main description and block tags. Leading '*' decoration is removed
+// from every line; a line starting with '@' (outside an inline tag) begins a block tag.
+// Every line remembers where its text starts in value, so that with locate each tag also gets
+// its source range: a block tag from its '@' to the end of its text, an inline tag its braces.
+function parseJavadoc(value, locate = null) {
+  const lines = [];
+  let lineStart = 0;
+  value.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/\r$/, '');
+    const decoration = /^\s*(\*+ ?)?/.exec(line)[0].length;
+    lines.push({ text: line.slice(decoration), start: lineStart + decoration });
+    lineStart += rawLine.length + 1;
+  });
+  
+  const sections = [{ name: null, lines: [] }];
+  let braceDepth = 0;
+  
+  lines.forEach(line => {
+    const tagMatch = braceDepth === 0 ? /^@([A-Za-z][\w.-]*)\s?(.*)$/.exec(line.text) : null;
+    if (tagMatch) {
+      const rest = { text: tagMatch[2], start: line.start + line.text.length - tagMatch[2].length };
+      sections.push({ name: tagMatch[1], start: line.start, lines: [rest] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+    braceDepth = Math.max(0, braceDepth + (line.text.split('{').length - 1) - (line.text.split('}').length - 1));
+  });
+  
+  const description = joinJavadocLines(sections[0].lines);
+  const blockTags = sections.slice(1).map(section => {
+    const joined = joinJavadocLines(section.lines);
+    let text = joined.text;
+    let offsets = joined.offsets;
+    let parameter = null;
+    
+    if (JAVADOC_NAMED_TAGS.includes(section.name)) {
+      const match = /^(\S+)\s*([\s\S]*)$/.exec(text);
+      if (match) {
+        parameter = match[1];
+        offsets = offsets.slice(text.length - match[2].length);
+        text = match[2];
+      }
+    }
+    
+    const tag = {
+      type: 'JavadocBlockTag',
+      name: section.name,
+      parameter: parameter,
+      description: text,
+      inlineTags: parseJavadocInlineTags(text, offsets, locate)
+    };
+    if (locate) {
+      const end = joined.text ? joined.offsets[joined.offsets.length - 1] + 1 : section.start + 1 + section.name.length;
+      Object.assign(tag, locate(section.start, end));
+    }
+    return tag;
+  });
+  
+  return {
+    summary: javadocSummary(description.text),
+    description: description.text,
+    inlineTags: parseJavadocInlineTags(description.text, description.offsets, locate),
+    blockTags: blockTags
+  };
+}
+
+// Join lines, dropping blank lines at either end and trailing whitespace. Returns the text and
+// the offset in value of each of its characters (a joining newline maps to the end of its line).
+function joinJavadocLines(lines) {
+  const trimmed = lines.map(line => ({ text: line.text.replace(/\s+$/, ''), start: line.start }));
+  let first = 0;
+  let last = trimmed.length;
+  while (first < last && trimmed[first].text === '') first++;
+  while (last > first && trimmed[last - 1].text === '') last--;
+  
+  let text = '';
+  const offsets = [];
+  trimmed.slice(first, last).forEach((line, index, kept) => {
+    if (index > 0) {
+      const previous = kept[index - 1];
+      text += '\n';
+      offsets.push(previous.start + previous.text.length);
+    }
+    text += line.text;
+    for (let i = 0; i < line.text.length; i++) {
+      offsets.push(line.start + i);
+    }
+  });
+  return { text: text, offsets: offsets };
+}
+
+// The first sentence: up to the first period followed by whitespace, a blank line or <p>
+function javadocSummary(description) {
+  const period = description.search(/\.(\s|$)/);
+  let end = period === -1 ? description.length : period + 1;
+  
+  const paragraph = description.search(/\n\s*\n|<p>/i);
+  if (paragraph !== -1 && paragraph < end) {
+    end = paragraph;
+  }
+  return description.slice(0, end).replace(/\s+/g, ' ').trim();
+}
+
+// Inline tags: {@link Type#member label}, {@code text}, {@inheritDoc}, ... (braces may nest).
+// offsets gives the position in value of each character of text (see joinJavadocLines).
+function parseJavadocInlineTags(text, offsets, locate) {
+  const tags = [];
+  let start = text.indexOf('{@');
+  
+  while (start !== -1) {
+    let depth = 0;
+    let end = start;
+    for (; end < text.length; end++) {
+      if (text[end] === '{') depth++;
+      if (text[end] === '}' && --depth === 0) break;
+    }
+    
+    const match = /^@(\S+?)(?:\s+([\s\S]*))?$/.exec(text.slice(start + 1, end));
+    if (match) {
+      const tag = { type: 'JavadocInlineTag', name: match[1], content: (match[2] || '').trim() };
+      
+      if (tag.name === 'link' || tag.name === 'linkplain') {
+        // The reference may contain spaces inside its parameter list: List#add(int, Object)
+        const reference = /^[^\s(]*(\([^)]*\))?/.exec(tag.content)[0];
+        tag.reference = reference;
+        tag.label = tag.content.slice(reference.length).trim() || null;
+      }
+      if (locate) {
+        // An unclosed tag runs to the end of the text
+        Object.assign(tag, locate(offsets[start], offsets[Math.min(end, text.length - 1)] + 1));
+      }
+      tags.push(tag);
+    }
+    
+    start = text.indexOf('{@', end);
+  }
+  return tags;
+}
+
 // Parser Error Class
 class JavaParseError extends Error {
-  constructor(message, token) {
+  constructor(message, token, code = DiagnosticCode.UNEXPECTED_TOKEN) {
     super(message);
     this.name = 'JavaParseError';
     this.token = token;
     this.line = token ? token.line : 0;
     this.column = token ? token.column : 0;
+    this.code = code;
+    this.diagnostic = null;
   }
 }
 
 // Java Parser focused on methods, functions, and imports
+// Options: onDiagnostic(diagnostic) is called for every diagnostic as it is reported, and a
+// logger ({ error, warn }) receives them as formatted lines. Nothing is written to the console.
+// recover: true never gives up: missing tokens are assumed, absent expressions and types become
+// MissingNodes and unparseable members, statements and declarations become ErrorNodes, so parse()
+// always returns a CompilationUnit. Pair it with a lexer created with { recover: true }.
 class JavaParser {
-  constructor(lexer) {
+  constructor(lexer, options = {}) {
     this.lexer = lexer;
-    this.tokens = lexer.tokenize();
+    this.diagnostics = [];
+    this.onDiagnostic = options.onDiagnostic || null;
+    this.logger = options.logger || null;
+    this.recover = options.recover === true;
+    this.lastSkippedToken = null;
+    this.lastErrorOffset = null; // recover mode reports one error per position
+    
+    // A lexical error ends the parse; parse() then returns no AST (an empty one in recover mode).
+    // A recovering lexer records its errors instead and marks the skipped text as INVALID tokens.
+    this.lexerError = null;
+    try {
+      this.tokens = lexer.tokenize();
+      (lexer.errors || []).forEach(error => this.report(this.diagnosticFor(error)));
+    } catch (error) {
+      if (!(error instanceof JavaLexerError)) {
+        throw error;
+      }
+      this.lexerError = error;
+      this.report(this.diagnosticFor(error));
+      this.tokens = [new Token(JavaTokenType.EOF, null, error.line, error.column, error.position)];
+    }
+    
+    this.comments = lexer.comments || [];
+    this.commentIndex = 0; // first comment not yet attached to a node
     this.current = 0;
     this.currentToken = this.tokens[0];
+    this.previousToken = null; // last token consumed, where the node being parsed ends
+  }
+
+  error(message, code = DiagnosticCode.UNEXPECTED_TOKEN, token = this.currentToken) {
+    throw this.parseError(message, code, token);
   }
 
-  error(message, token = this.currentToken) {
-    throw new JavaParseError(
+  parseError(message, code = DiagnosticCode.UNEXPECTED_TOKEN, token = this.currentToken) {
+    if (code === DiagnosticCode.UNEXPECTED_TOKEN && token.type === JavaTokenType.EOF) {
+      code = DiagnosticCode.UNEXPECTED_EOF;
+    }
+    
+    const error = new JavaParseError(
       `${message} at line ${token.line}, column ${token.column}. Got: ${token.type}`,
-      token
+      token,
+      code
     );
+    const range = tokenRange(token);
+    error.diagnostic = createDiagnostic(code, DiagnosticSeverity.ERROR, message, range.start, range.end, token);
+    return error;
+  }
+
+  // Report an error and carry on (recover mode, skipped members). Only the first error at a position
+  // is reported, so one missing token does not cascade into a diagnostic for every rule that expected it.
+  reportRecovered(error) {
+    const diagnostic = this.diagnosticFor(error);
+    if (diagnostic.token && diagnostic.token.type === JavaTokenType.INVALID) {
+      return; // already reported by the lexer
+    }
+    if (diagnostic.start.offset !== this.lastErrorOffset) {
+      this.lastErrorOffset = diagnostic.start.offset;
+      this.report(diagnostic);
+    }
+  }
+
+  // An error that is thrown, or only reported when the parser can go on from it in recover mode
+  recoverableError(message, code) {
+    const error = this.parseError(message, code);
+    if (!this.recover) {
+      throw error;
+    }
+    this.reportRecovered(error);
+  }
+
+  // An absent expression or type: an error, or a MissingNode in recover mode
+  missing(expected, message, code) {
+    this.recoverableError(message, code);
+    const token = this.currentToken;
+    return this.finishNode(new MissingNode(expected, token.line, token.column), this.insertionPoint());
+  }
+
+  // Recover mode: parse one member, statement or declaration of a list. If it fails, or consumes
+  // nothing, skip() moves past the broken region (at least one token) and an ErrorNode covering
+  // the tokens passed over takes its place, so the enclosing loop always makes progress.
+  recoverElement(parseElement, skip) {
+    if (!this.recover) {
+      return parseElement();
+    }
+    
+    const start = this.current;
+    const startToken = this.currentToken;
+    let message = null;
+    try {
+      const element = parseElement();
+      if (this.current > start) {
+        return element;
+      }
+      message = `Unexpected ${startToken.type}`;
+      this.reportRecovered(this.parseError(message));
+    } catch (error) {
+      message = error.diagnostic ? error.diagnostic.message : error.message;
+      this.reportRecovered(error);
+    }
+    
+    skip();
+    if (this.current === start) {
+      this.advance();
+    }
+    const errorNode = new ErrorNode(message, this.tokens.slice(start, this.current), startToken.line, startToken.column);
+    return this.finishNode(errorNode, startToken);
+  }
+
+  // Report a problem without interrupting the parse
+  diagnose(severity, code, message, token = this.currentToken) {
+    if (token.type === JavaTokenType.INVALID) {
+      return; // already reported by the lexer
+    }
+    
+    const range = tokenRange(token);
+    this.report(createDiagnostic(code, severity, message, range.start, range.end, token));
+  }
+
+  report(diagnostic) {
+    this.diagnostics.push(diagnostic);
+    
+    if (this.onDiagnostic) {
+      this.onDiagnostic(diagnostic);
+    }
+    if (this.logger) {
+      const log = diagnostic.severity === DiagnosticSeverity.ERROR ? this.logger.error : this.logger.warn;
+      log.call(this.logger, formatDiagnostic(diagnostic));
+    }
+  }
+
+  // The diagnostic of a lexer or parser error; anything else is a bug in the parser itself
+  diagnosticFor(error) {
+    if (error.diagnostic) {
+      return error.diagnostic;
+    }
+    
+    const code = error.code || DiagnosticCode.INTERNAL_ERROR;
+    const range = tokenRange(this.currentToken || new Token(JavaTokenType.EOF, null));
+    return createDiagnostic(code, DiagnosticSeverity.ERROR, error.message, range.start, range.end,
+                            this.currentToken || null);
+  }
+
+  // Report a run of tokens that cannot start a declaration once, then skip the current one.
+  // In recover mode the run is collected into one ErrorNode appended to nodes.
+  skipUnexpectedToken(message, nodes) {
+    if (this.lastSkippedToken !== this.current - 1) {
+      this.diagnose(DiagnosticSeverity.ERROR, DiagnosticCode.EXPECTED_DECLARATION, message);
+      if (this.recover) {
+        nodes.push(new ErrorNode(message, [], this.currentToken.line, this.currentToken.column));
+      }
+    }
+    this.lastSkippedToken = this.current;
+    this.advance();
+    
+    if (this.recover) {
+      const errorNode = nodes[nodes.length - 1];
+      errorNode.tokens.push(this.previousToken);
+      this.finishNode(errorNode, errorNode.tokens[0]);
+    }
   }
 
   advance() {
     if (this.current < this.tokens.length - 1) {
+      this.previousToken = this.currentToken;
       this.current++;
       this.currentToken = this.tokens[this.current];
     }
@@ -199,13 +677,153 @@ class JavaParser {
     return false;
   }
 
+  // Give a node its source range: start and end offsets and loc ({ line, column } pairs) from the
+  // start of startNode to the end of endNode, both tokens or already finished nodes. endNode is the
+  // last token consumed by default; a node that consumed nothing (a MissingNode) gets an empty range.
+  finishNode(node, startNode, endNode = this.previousToken) {
+    const endToken = endNode && endNode.end > startNode.start ? endNode : null;
+    
+    node.start = startNode.start;
+    node.end = endToken ? endToken.end : startNode.start;
+    node.loc = {
+      start: startNode.loc.start,
+      end: endToken ? endToken.loc.end : startNode.loc.start
+    };
+    return node;
+  }
+
+  // Where a node starts when its first child may be a MissingNode, which sits before startToken
+  nodeStart(startToken, firstChild) {
+    return firstChild.start < startToken.start ? firstChild : startToken;
+  }
+
+  // Where a declaration starts: its first annotation or modifier, else startNode
+  declarationStart(annotations, modifiers, startNode) {
+    return annotations.concat(modifiers).reduce((first, node) => (node.start < first.start ? node : first), startNode);
+  }
+
+  // Contextual keywords (yield, when, ...) are lexed as identifiers and recognized by value
+  matchContextualKeyword(keyword) {
+    return this.currentToken.type === JavaTokenType.IDENTIFIER && this.currentToken.value === keyword;
+  }
+
   consume(type, message) {
     if (this.currentToken.type === type) {
       const token = this.currentToken;
       this.advance();
       return token;
     }
-    this.error(message || `Expected ${type}`);
+    
+    // Recover mode goes on as if the token were there; a missing name is ''
+    this.recoverableError(message || `Expected ${type}`);
+    const at = this.insertionPoint();
+    const token = new Token(type, '', at.loc.start.line, at.loc.start.column, at.start, '');
+    token.missing = true;
+    return token;
+  }
+
+  // Empty range where a missing token or node would go: right after the last token consumed
+  insertionPoint() {
+    const token = this.previousToken;
+    const offset = token ? token.end : this.currentToken.start;
+    const position = token ? token.loc.end : this.currentToken.loc.start;
+    return { start: offset, end: offset, loc: { start: position, end: position } };
+  }
+
+  // Parse a node and attach comments to it: the unattached comments before its first token become
+  // leadingComments, comments inside it or on the line where it ends become trailingComments
+  withComments(parseNode) {
+    const commentIndex = this.commentIndex;
+    const leadingComments = this.takeCommentsBefore(this.currentToken.position);
+    const node = parseNode();
+    
+    if (!node) {
+      // Nothing to attach to (an empty statement); leave the comments for the next node
+      if (this.commentIndex === commentIndex + leadingComments.length) {
+        this.commentIndex = commentIndex;
+      }
+      return node;
+    }
+    
+    // A fragment that is only a MissingNode has consumed no token
+    const lastToken = this.previousToken;
+    const trailingComments = lastToken
+      ? this.takeCommentsBefore(lastToken.end).concat(this.takeSameLineComments(lastToken))
+      : [];
+    
+    if (leadingComments.length > 0) {
+      node.leadingComments = leadingComments.concat(node.leadingComments || []);
+    }
+    if (trailingComments.length > 0) {
+      node.trailingComments = (node.trailingComments || []).concat(trailingComments);
+    }
+    return node;
+  }
+
+  // Attach the comments left before a closing '}' (or the end of file) to the enclosing node
+  attachInnerComments(node) {
+    const innerComments = this.takeCommentsBefore(this.currentToken.position);
+    if (innerComments.length > 0) {
+      node.innerComments = innerComments;
+    }
+    return node;
+  }
+
+  takeCommentsBefore(position) {
+    const comments = [];
+    while (this.commentIndex < this.comments.length && this.comments[this.commentIndex].position < position) {
+      comments.push(this.commentNode(this.comments[this.commentIndex++]));
+    }
+    return comments;
+  }
+
+  // Comments that start on the line where token ends, before the next token. A Javadoc comment
+  // documents the declaration that follows it, so it and the comments after it are left for that.
+  takeSameLineComments(token) {
+    const comments = [];
+    
+    while (this.commentIndex < this.comments.length &&
+           this.comments[this.commentIndex].line === token.loc.end.line &&
+           this.comments[this.commentIndex].type !== JavaTokenType.JAVADOC_COMMENT &&
+           this.comments[this.commentIndex].position < this.currentToken.position) {
+      comments.push(this.commentNode(this.comments[this.commentIndex++]));
+    }
+    return comments;
+  }
+
+  commentNode(token) {
+    if (token.type === JavaTokenType.JAVADOC_COMMENT) {
+      return this.finishNode(new JavadocComment(token.value, token.line, token.column, this.javadocLocator(token)),
+                             token, token);
+    }
+    return this.finishNode({
+      type: COMMENT_NODE_TYPES[token.type],
+      value: token.value,
+      line: token.line,
+      column: token.column
+    }, token, token);
+  }
+
+  // Map a range of a Javadoc comment's value (offsets after the opening /**) to a source range.
+  // When \uXXXX escapes make the value differ from the source text, the range is the whole comment.
+  javadocLocator(token) {
+    if (!token.raw.startsWith('/**' + token.value)) {
+      return () => ({ start: token.start, end: token.end, loc: { start: token.loc.start, end: token.loc.end } });
+    }
+
+    const position = offset => {
+      const before = token.value.slice(0, offset);
+      const newline = before.lastIndexOf('\n');
+      return {
+        line: token.loc.start.line + before.split('\n').length - 1,
+        column: newline === -1 ? token.loc.start.column + 3 + offset : offset - newline
+      };
+    };
+    return (from, to) => ({
+      start: token.start + 3 + from,
+      end: token.start + 3 + to,
+      loc: { start: position(from), end: position(to) }
+    });
   }
 
   synchronize() {
@@ -233,13 +851,39 @@ class JavaParser {
     }
   }
 
-  // Main parsing method
+  // Main parsing method: { ast, diagnostics }. ast is null when the source could not be parsed;
+  // recovered problems leave an AST and error diagnostics.
   parse() {
+    if (this.lexerError && !this.recover) {
+      return { ast: null, diagnostics: this.diagnostics };
+    }
+    
     try {
-      return this.compilationUnit();
+      return { ast: this.compilationUnit(), diagnostics: this.diagnostics };
     } catch (error) {
-      console.error('Parse error:', error.message);
-      return null;
+      this.report(this.diagnosticFor(error));
+      return { ast: null, diagnostics: this.diagnostics };
+    }
+  }
+
+  // Parse a fragment of source instead of a compilation unit: { node, diagnostics }. parseNode(parser)
+  // reads the fragment with one of the grammar methods, e.g. parser => parser.expression(), and the
+  // source must end there; name describes the fragment in the diagnostic when it does not.
+  // node is null when the fragment could not be parsed (and for a lone ';' statement or member).
+  parseFragment(parseNode, name) {
+    if (this.lexerError && !this.recover) {
+      return { node: null, diagnostics: this.diagnostics };
+    }
+
+    try {
+      const node = this.withComments(() => parseNode(this));
+      if (!this.match(JavaTokenType.EOF)) {
+        this.recoverableError(`Expected end of input after ${name}`);
+      }
+      return { node: node, diagnostics: this.diagnostics };
+    } catch (error) {
+      this.report(this.diagnosticFor(error));
+      return { node: null, diagnostics: this.diagnostics };
     }
   }
 
@@ -251,35 +895,50 @@ class JavaParser {
 
     // Parse package declaration
     if (this.match(JavaTokenType.PACKAGE)) {
-      packageDecl = this.packageDeclaration();
+      packageDecl = this.withComments(() => this.packageDeclaration());
     }
 
     // Parse import declarations
     while (this.match(JavaTokenType.IMPORT)) {
-      imports.push(this.importDeclaration());
+      imports.push(this.withComments(() => this.importDeclaration()));
     }
 
     // Parse type declarations (classes, interfaces)
     while (!this.match(JavaTokenType.EOF)) {
-      if (this.match(JavaTokenType.CLASS, JavaTokenType.INTERFACE, JavaTokenType.ENUM)) {
-        typeDeclarations.push(this.typeDeclaration());
-      } else if (this.match(JavaTokenType.PUBLIC, JavaTokenType.PRIVATE, JavaTokenType.PROTECTED,
-                           JavaTokenType.STATIC, JavaTokenType.FINAL, JavaTokenType.ABSTRACT)) {
+      if (this.match(JavaTokenType.CLASS, JavaTokenType.INTERFACE, JavaTokenType.ENUM, JavaTokenType.AT) ||
+          this.isRecordStart()) {
+        typeDeclarations.push(this.withComments(() => this.recoverTypeDeclaration()));
+      } else if (this.isModifier()) {
         // Skip modifiers and try to parse type declaration
         const modifiers = this.parseModifiers();
-        if (this.match(JavaTokenType.CLASS, JavaTokenType.INTERFACE, JavaTokenType.ENUM)) {
-          const typeDecl = this.typeDeclaration();
-          typeDecl.modifiers = modifiers.concat(typeDecl.modifiers || []);
+        if (this.match(JavaTokenType.CLASS, JavaTokenType.INTERFACE, JavaTokenType.ENUM, JavaTokenType.AT) ||
+            this.isRecordStart()) {
+          const typeDecl = this.withComments(() => this.recoverTypeDeclaration());
+          if (typeDecl.type !== 'ErrorNode') {
+            typeDecl.modifiers = modifiers.concat(typeDecl.modifiers || []);
+            this.finishNode(typeDecl, modifiers[0], typeDecl);
+          }
           typeDeclarations.push(typeDecl);
         } else {
-          this.advance(); // Skip unknown tokens
+          this.skipUnexpectedToken('Expected class, interface, enum, record, or annotation type declaration',
+                                   typeDeclarations);
         }
       } else {
-        this.advance(); // Skip unknown tokens
+        this.skipUnexpectedToken('Expected class, interface, enum, record, or annotation type declaration',
+                                 typeDeclarations);
       }
     }
 
-    return new CompilationUnit(packageDecl, imports, typeDeclarations);
+    // The compilation unit spans the whole source, up to the EOF token after any trailing whitespace
+    const compilationUnit = new CompilationUnit(packageDecl, imports, typeDeclarations);
+    const sourceStart = { start: 0, loc: { start: { line: 1, column: 1 } } };
+    this.finishNode(compilationUnit, sourceStart, this.currentToken);
+    
+    return this.attachInnerComments(compilationUnit);
+  }
+
+  recoverTypeDeclaration() {
+    return this.recoverElement(() => this.typeDeclaration(), () => this.synchronize());
   }
 
   // packageDeclaration: 'package' qualifiedName ';'
@@ -288,7 +947,7 @@ class JavaParser {
     const packageName = this.qualifiedName();
     this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after package declaration');
     
-    return new PackageDeclaration(packageName, packageToken.line, packageToken.column);
+    return this.finishNode(new PackageDeclaration(packageName, packageToken.line, packageToken.column), packageToken);
   }
 
   // importDeclaration: 'import' 'static'? qualifiedName ('.' '*')? ';'
@@ -314,7 +973,8 @@ class JavaParser {
 
     this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after import declaration');
     
-    return new ImportDeclaration(packageName, isStatic, isWildcard, importToken.line, importToken.column);
+    const importDeclaration = new ImportDeclaration(packageName, isStatic, isWildcard, importToken.line, importToken.column);
+    return this.finishNode(importDeclaration, importToken);
   }
 
   // Parse qualified name (e.g., java.util.List)
@@ -329,7 +989,8 @@ class JavaParser {
     return name;
   }
 
-  // typeDeclaration: classDeclaration | interfaceDeclaration
+  // typeDeclaration: classDeclaration | interfaceDeclaration | enumDeclaration | recordDeclaration
+  //                | annotationTypeDeclaration
   typeDeclaration() {
     const annotations = this.parseAnnotations();
     const modifiers = this.parseModifiers();
@@ -340,133 +1001,349 @@ class JavaParser {
       return this.interfaceDeclaration(modifiers, annotations);
     } else if (this.match(JavaTokenType.ENUM)) {
       return this.enumDeclaration(modifiers, annotations);
+    } else if (this.isRecordStart()) {
+      return this.recordDeclaration(modifiers, annotations);
+    } else if (this.match(JavaTokenType.AT) && this.peek().type === JavaTokenType.INTERFACE) {
+      return this.annotationTypeDeclaration(modifiers, annotations);
     } else {
-      this.error('Expected class, interface, or enum declaration');
+      this.error('Expected class, interface, enum, record, or annotation type declaration',
+                 DiagnosticCode.EXPECTED_DECLARATION);
     }
   }
 
-  // Parse annotations (@Override, @Deprecated, etc.)
+  // 'record' is a contextual keyword: only a declaration when followed by the record name
+  isRecordStart() {
+    return this.matchContextualKeyword('record') && this.peek().type === JavaTokenType.IDENTIFIER;
+  }
+
+  // Parse annotations (@Override, @Deprecated, etc.); stops before '@interface'
   parseAnnotations() {
     const annotations = [];
     
-    while (this.match(JavaTokenType.AT)) {
-      const atToken = this.currentToken;
-      this.advance();
-      
-      const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected annotation name').value;
-      const args = [];
-      
-      // Simple annotation parsing (not handling complex arguments)
-      if (this.match(JavaTokenType.LPAREN)) {
-        this.advance();
-        // Skip annotation arguments for simplicity
-        let parenCount = 1;
-        while (parenCount > 0 && !this.match(JavaTokenType.EOF)) {
-          if (this.match(JavaTokenType.LPAREN)) parenCount++;
-          if (this.match(JavaTokenType.RPAREN)) parenCount--;
-          this.advance();
-        }
-      }
-      
-      annotations.push(new Annotation(name, args, atToken.line, atToken.column));
+    while (this.match(JavaTokenType.AT) && this.peek().type !== JavaTokenType.INTERFACE) {
+      annotations.push(this.annotation());
     }
     
     return annotations;
   }
 
-  // Parse a single annotation
+  // annotation: '@' qualifiedName ('(' (elementValuePair (',' elementValuePair)* | elementValue)? ')')?
   annotation() {
     const atToken = this.consume(JavaTokenType.AT);
-    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected annotation name').value;
+    const name = this.qualifiedName();
     const args = [];
     
-    // Simple annotation parsing (not handling complex arguments)
     if (this.match(JavaTokenType.LPAREN)) {
       this.advance();
-      // Skip annotation arguments for simplicity
-      let parenCount = 1;
-      while (parenCount > 0 && !this.match(JavaTokenType.EOF)) {
-        if (this.match(JavaTokenType.LPAREN)) parenCount++;
-        if (this.match(JavaTokenType.RPAREN)) parenCount--;
+      
+      if (this.match(JavaTokenType.IDENTIFIER) && this.peek().type === JavaTokenType.ASSIGN) {
+        args.push(this.elementValuePair());
+        
+        while (this.match(JavaTokenType.COMMA)) {
+          this.advance();
+          args.push(this.elementValuePair());
+        }
+      } else if (!this.match(JavaTokenType.RPAREN)) {
+        // Single-element shorthand: @SuppressWarnings("unchecked")
+        const valueToken = this.currentToken;
+        args.push(this.finishNode({
+          type: 'ElementValuePair',
+          name: null,
+          value: this.elementValue(),
+          line: valueToken.line,
+          column: valueToken.column
+        }, valueToken));
+      }
+      
+      this.consume(JavaTokenType.RPAREN, 'Expected ")" after annotation arguments');
+    }
+    
+    return this.finishNode(new Annotation(name, args, atToken.line, atToken.column), atToken);
+  }
+
+  // elementValuePair: IDENTIFIER '=' elementValue
+  elementValuePair() {
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected annotation element name');
+    this.consume(JavaTokenType.ASSIGN, 'Expected "=" after annotation element name');
+    
+    return this.finishNode({
+      type: 'ElementValuePair',
+      name: nameToken.value,
+      value: this.elementValue(),
+      line: nameToken.line,
+      column: nameToken.column
+    }, nameToken);
+  }
+
+  // elementValue: annotation | '{' (elementValue (',' elementValue)*)? ','? '}' | conditionalExpression
+  elementValue() {
+    if (this.match(JavaTokenType.AT)) {
+      return this.annotation();
+    }
+    
+    if (this.match(JavaTokenType.LBRACE)) {
+      const braceToken = this.consume(JavaTokenType.LBRACE);
+      const elements = [];
+      
+      while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
+        elements.push(this.elementValue());
+        
+        if (!this.match(JavaTokenType.COMMA)) {
+          break;
+        }
         this.advance();
       }
+      
+      this.consume(JavaTokenType.RBRACE, 'Expected "}" after annotation array');
+      
+      return this.finishNode({
+        type: 'ArrayInitializer',
+        elements: elements,
+        line: braceToken.line,
+        column: braceToken.column
+      }, braceToken);
     }
     
-    return new Annotation(name, args, atToken.line, atToken.column);
+    return this.conditionalExpression();
   }
 
   // Parse modifiers (public, private, static, etc.)
   parseModifiers() {
     const modifiers = [];
     
-    while (this.match(JavaTokenType.PUBLIC, JavaTokenType.PRIVATE, JavaTokenType.PROTECTED,
-                     JavaTokenType.STATIC, JavaTokenType.FINAL, JavaTokenType.ABSTRACT,
-                     JavaTokenType.SYNCHRONIZED, JavaTokenType.NATIVE, JavaTokenType.VOLATILE,
-                     JavaTokenType.TRANSIENT)) {
+    while (this.isModifier()) {
       const token = this.currentToken;
-      modifiers.push(new Modifier(token.value, token.line, token.column));
+      
+      if (this.isNonSealedModifier(0)) {
+        this.advance(); // non
+        this.advance(); // -
+        this.advance(); // sealed
+        modifiers.push(this.finishNode(new Modifier('non-sealed', token.line, token.column), token));
+        continue;
+      }
+      
       this.advance();
+      modifiers.push(this.finishNode(new Modifier(token.value, token.line, token.column), token));
     }
     
     return modifiers;
   }
 
-  // classDeclaration: 'class' IDENTIFIER ('extends' type)? ('implements' typeList)? classBody
-  classDeclaration(modifiers = [], annotations = []) {
-    const classToken = this.consume(JavaTokenType.CLASS);
-    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected class name').value;
+  // Check if the current token starts a modifier
+  isModifier() {
+    if (this.match(JavaTokenType.PUBLIC, JavaTokenType.PRIVATE, JavaTokenType.PROTECTED,
+                   JavaTokenType.STATIC, JavaTokenType.FINAL, JavaTokenType.ABSTRACT,
+                   JavaTokenType.SYNCHRONIZED, JavaTokenType.NATIVE, JavaTokenType.VOLATILE,
+                   JavaTokenType.TRANSIENT, JavaTokenType.STRICTFP)) {
+      return true;
+    }
     
-    let superClass = null;
-    if (this.match(JavaTokenType.EXTENDS)) {
-      this.advance();
-      superClass = this.parseType();
+    // 'default' is a modifier on interface methods, but a label in 'default:' and 'default ->'
+    if (this.match(JavaTokenType.DEFAULT)) {
+      const next = this.peek().type;
+      return next !== JavaTokenType.COLON && next !== JavaTokenType.ARROW;
     }
     
-    const interfaces = [];
-    if (this.match(JavaTokenType.IMPLEMENTS)) {
-      this.advance();
-      interfaces.push(this.parseType());
+    return this.isSealedModifier(0) || this.isNonSealedModifier(0);
+  }
+
+  // 'sealed' is only a modifier when the modifiers it belongs to end in 'class' or 'interface'
+  isSealedModifier(offset) {
+    const token = this.peek(offset);
+    return token.type === JavaTokenType.IDENTIFIER && token.value === 'sealed' &&
+           this.isTypeDeclarationAfterModifiers(offset + 1);
+  }
+
+  // 'non-sealed' arrives as the three tokens 'non' '-' 'sealed' written without spaces
+  isNonSealedModifier(offset) {
+    const non = this.peek(offset);
+    const minus = this.peek(offset + 1);
+    const sealed = this.peek(offset + 2);
+    
+    return non.type === JavaTokenType.IDENTIFIER && non.value === 'non' &&
+           minus.type === JavaTokenType.MINUS && minus.position === non.position + 3 &&
+           sealed.type === JavaTokenType.IDENTIFIER && sealed.value === 'sealed' &&
+           sealed.position === minus.position + 1 &&
+           this.isTypeDeclarationAfterModifiers(offset + 3);
+  }
+
+  // Look past further modifiers and annotations for 'class' or 'interface'
+  // (with anyKind, 'enum' and 'record' declarations count too)
+  isTypeDeclarationAfterModifiers(offset, anyKind = false) {
+    let token = this.peek(offset);
+    
+    while (token.type !== JavaTokenType.EOF) {
+      if (token.type === JavaTokenType.CLASS || token.type === JavaTokenType.INTERFACE) {
+        return true;
+      }
       
-      while (this.match(JavaTokenType.COMMA)) {
-        this.advance();
-        interfaces.push(this.parseType());
+      if (anyKind && (token.type === JavaTokenType.ENUM ||
+          (token.type === JavaTokenType.IDENTIFIER && token.value === 'record' &&
+           this.peek(offset + 1).type === JavaTokenType.IDENTIFIER))) {
+        return true;
+      }
+      
+      if (token.type === JavaTokenType.AT && this.peek(offset + 1).type === JavaTokenType.IDENTIFIER) {
+        offset = this.scanAnnotation(offset);
+      } else if (token.type === JavaTokenType.IDENTIFIER && token.value === 'sealed') {
+        offset++;
+      } else if (token.type === JavaTokenType.IDENTIFIER && token.value === 'non' &&
+                 this.peek(offset + 1).type === JavaTokenType.MINUS) {
+        offset += 3;
+      } else if ([JavaTokenType.PUBLIC, JavaTokenType.PRIVATE, JavaTokenType.PROTECTED,
+                  JavaTokenType.STATIC, JavaTokenType.FINAL, JavaTokenType.ABSTRACT,
+                  JavaTokenType.STRICTFP].includes(token.type)) {
+        offset++;
+      } else {
+        return false;
       }
+      
+      token = this.peek(offset);
     }
     
-    const body = this.classBody();
-    
-    return new ClassDeclaration(name, modifiers, superClass, interfaces, body, annotations, 
-                               classToken.line, classToken.column);
+    return false;
   }
 
-  // interfaceDeclaration: 'interface' IDENTIFIER ('<' typeParameters '>')? ('extends' typeList)? interfaceBody
-  interfaceDeclaration(modifiers = [], annotations = []) {
-    const interfaceToken = this.consume(JavaTokenType.INTERFACE);
-    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected interface name').value;
+  // Lookahead over an annotation starting at offset ('@' qualifiedName arguments?); returns the offset after it
+  scanAnnotation(offset) {
+    offset += 2;
     
-    // Parse generic type parameters if present
-    let typeParameters = [];
-    if (this.match(JavaTokenType.LESS_THAN)) {
-      typeParameters = this.parseTypeParameters();
+    while (this.peek(offset).type === JavaTokenType.DOT && this.peek(offset + 1).type === JavaTokenType.IDENTIFIER) {
+      offset += 2;
     }
     
-    const interfaces = [];
-    if (this.match(JavaTokenType.EXTENDS)) {
-      this.advance();
-      interfaces.push(this.parseType());
-      
+    if (this.peek(offset).type === JavaTokenType.LPAREN) {
+      let depth = 0;
+      do {
+        const type = this.peek(offset).type;
+        if (type === JavaTokenType.LPAREN) depth++;
+        if (type === JavaTokenType.RPAREN) depth--;
+        if (type === JavaTokenType.EOF) return offset;
+        offset++;
+      } while (depth > 0);
+    }
+    
+    return offset;
+  }
+
+  // Local classes, interfaces, enums and records declared inside a block
+  isLocalTypeDeclaration() {
+    if (this.match(JavaTokenType.CLASS, JavaTokenType.INTERFACE, JavaTokenType.ENUM) || this.isRecordStart()) {
+      return true;
+    }
+    
+    if (this.match(JavaTokenType.ABSTRACT, JavaTokenType.FINAL, JavaTokenType.STATIC, JavaTokenType.STRICTFP,
+                   JavaTokenType.AT, JavaTokenType.IDENTIFIER)) {
+      return this.isTypeDeclarationAfterModifiers(0, true);
+    }
+    
+    return false;
+  }
+
+  // permits: 'permits' type (',' type)*
+  parsePermits() {
+    const permits = [];
+    
+    if (this.matchContextualKeyword('permits')) {
+      this.advance();
+      permits.push(this.parseType());
+      
+      while (this.match(JavaTokenType.COMMA)) {
+        this.advance();
+        permits.push(this.parseType());
+      }
+    }
+    
+    return permits;
+  }
+
+  // classDeclaration: 'class' IDENTIFIER typeParameters? ('extends' type)? ('implements' typeList)? ('permits' typeList)? classBody
+  classDeclaration(modifiers = [], annotations = []) {
+    const classToken = this.consume(JavaTokenType.CLASS);
+    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected class name').value;
+    
+    let typeParameters = [];
+    if (this.match(JavaTokenType.LESS_THAN)) {
+      typeParameters = this.parseTypeParameters();
+    }
+    
+    let superClass = null;
+    if (this.match(JavaTokenType.EXTENDS)) {
+      this.advance();
+      superClass = this.parseType();
+    }
+    
+    const interfaces = [];
+    if (this.match(JavaTokenType.IMPLEMENTS)) {
+      this.advance();
+      interfaces.push(this.parseType());
+      
+      while (this.match(JavaTokenType.COMMA)) {
+        this.advance();
+        interfaces.push(this.parseType());
+      }
+    }
+    
+    const permits = this.parsePermits();
+    const body = this.classBody();
+    
+    const classDecl = new ClassDeclaration(name, modifiers, superClass, interfaces, body, annotations,
+                                           classToken.line, classToken.column);
+    classDecl.typeParameters = typeParameters;
+    classDecl.permits = permits;
+    return this.finishNode(classDecl, this.declarationStart(annotations, modifiers, classToken));
+  }
+
+  // interfaceDeclaration: 'interface' IDENTIFIER ('<' typeParameters '>')? ('extends' typeList)? ('permits' typeList)? interfaceBody
+  interfaceDeclaration(modifiers = [], annotations = []) {
+    const interfaceToken = this.consume(JavaTokenType.INTERFACE);
+    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected interface name').value;
+    
+    // Parse generic type parameters if present
+    let typeParameters = [];
+    if (this.match(JavaTokenType.LESS_THAN)) {
+      typeParameters = this.parseTypeParameters();
+    }
+    
+    const interfaces = [];
+    if (this.match(JavaTokenType.EXTENDS)) {
+      this.advance();
+      interfaces.push(this.parseType());
+      
       while (this.match(JavaTokenType.COMMA)) {
         this.advance();
         interfaces.push(this.parseType());
       }
     }
     
+    const permits = this.parsePermits();
     const body = this.classBody(); // Interface body is similar to class body
     
+    body.statements.forEach(member => {
+      if (member.type === 'MethodDeclaration') {
+        member.kind = this.interfaceMethodKind(member);
+      }
+    });
+    
     const interfaceDecl = new InterfaceDeclaration(name, modifiers, interfaces, body, annotations,
                                    interfaceToken.line, interfaceToken.column);
     interfaceDecl.typeParameters = typeParameters;
-    return interfaceDecl;
+    interfaceDecl.permits = permits;
+    return this.finishNode(interfaceDecl, this.declarationStart(annotations, modifiers, interfaceToken));
+  }
+
+  // Interface methods are abstract unless declared default, static or private (which carry a body)
+  interfaceMethodKind(method) {
+    const modifierNames = method.modifiers.map(modifier => modifier.name);
+    
+    if (modifierNames.includes('default')) {
+      return 'default';
+    } else if (modifierNames.includes('static')) {
+      return 'static';
+    } else if (modifierNames.includes('private')) {
+      return 'private';
+    }
+    return 'abstract';
   }
 
   // enumDeclaration: 'enum' IDENTIFIER ('implements' typeList)? enumBody
@@ -486,119 +1363,184 @@ class JavaParser {
     }
     
     // Parse enum body
-    this.consume(JavaTokenType.LBRACE, 'Expected "{"');
+    const lbrace = this.consume(JavaTokenType.LBRACE, 'Expected "{"');
     
     const constants = [];
     const bodyStatements = [];
     
-    // Parse enum constants
-    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
-      if (this.match(JavaTokenType.IDENTIFIER)) {
-        const constantName = this.currentToken.value;
-        const startLine = this.currentToken.line;
-        const startColumn = this.currentToken.column;
-        this.advance();
-        
-        // Check for constructor parameters
-        let parameters = [];
-        if (this.match(JavaTokenType.LPAREN)) {
-          this.advance(); // consume '('
-          
-          // Parse parameters (simplified - collect tokens until ')')
-          const paramTokens = [];
-          let parenCount = 1;
-          while (parenCount > 0 && !this.match(JavaTokenType.EOF)) {
-            if (this.match(JavaTokenType.LPAREN)) parenCount++;
-            if (this.match(JavaTokenType.RPAREN)) parenCount--;
-            
-            if (parenCount > 0) {
-              paramTokens.push(this.currentToken);
-            }
-            this.advance();
-          }
-          
-          if (paramTokens.length > 0) {
-            parameters = paramTokens;
-          }
-        }
-        
-        constants.push({
-          type: 'EnumConstant',
-          name: constantName,
-          parameters: parameters,
-          line: startLine,
-          column: startColumn
-        });
-        
-        if (this.match(JavaTokenType.COMMA)) {
-          this.advance();
-        } else if (this.match(JavaTokenType.SEMICOLON)) {
+    // Parse enum constants (a trailing comma is allowed). The comma is consumed together with
+    // the constant so that a comment after it ('A, // first') trails that constant.
+    let hasComma = true;
+    while (hasComma && !this.match(JavaTokenType.RBRACE, JavaTokenType.SEMICOLON, JavaTokenType.EOF)) {
+      constants.push(this.withComments(() => {
+        const constant = this.enumConstant();
+        hasComma = this.match(JavaTokenType.COMMA);
+        if (hasComma) {
           this.advance();
-          break; // End of constants, start of methods/fields
         }
-      } else {
-        break;
-      }
+        return constant;
+      }));
     }
     
-    // Parse methods and fields (simplified)
-    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
-      const member = this.classMember();
-      if (member) {
-        bodyStatements.push(member);
+    // Fields, constructors and methods follow the ';'
+    if (this.match(JavaTokenType.SEMICOLON)) {
+      this.advance();
+      
+      while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
+        const member = this.withComments(() => this.recoverMember(() => this.classMember()));
+        if (member) {
+          bodyStatements.push(member);
+        }
       }
     }
     
+    const body = this.attachInnerComments(new Block(bodyStatements));
     this.consume(JavaTokenType.RBRACE, 'Expected "}"');
+    this.finishNode(body, lbrace);
+    
+    const enumDecl = new EnumDeclaration(name, modifiers, interfaces, constants, body, annotations,
+                                         enumToken.line, enumToken.column);
+    return this.finishNode(enumDecl, this.declarationStart(annotations, modifiers, enumToken));
+  }
+
+  // recordDeclaration: 'record' IDENTIFIER typeParameters? '(' recordComponents? ')' ('implements' typeList)? classBody
+  recordDeclaration(modifiers = [], annotations = []) {
+    const recordToken = this.consume(JavaTokenType.IDENTIFIER); // 'record'
+    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected record name').value;
+    
+    let typeParameters = [];
+    if (this.match(JavaTokenType.LESS_THAN)) {
+      typeParameters = this.parseTypeParameters();
+    }
+    
+    this.consume(JavaTokenType.LPAREN, 'Expected "(" after record name');
+    const components = [];
+    if (!this.match(JavaTokenType.RPAREN)) {
+      components.push(this.recordComponent());
+      
+      while (this.match(JavaTokenType.COMMA)) {
+        this.advance();
+        components.push(this.recordComponent());
+      }
+    }
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after record components');
+    
+    const interfaces = [];
+    if (this.match(JavaTokenType.IMPLEMENTS)) {
+      this.advance();
+      interfaces.push(this.parseType());
+      
+      while (this.match(JavaTokenType.COMMA)) {
+        this.advance();
+        interfaces.push(this.parseType());
+      }
+    }
+    
+    const body = this.classBody();
+    
+    const recordDecl = new RecordDeclaration(name, modifiers, typeParameters, components, interfaces, body,
+                                             annotations, recordToken.line, recordToken.column);
+    return this.finishNode(recordDecl, this.declarationStart(annotations, modifiers, recordToken));
+  }
+
+  // recordComponent: annotation* type '...'? IDENTIFIER
+  recordComponent() {
+    const annotations = this.parseAnnotations();
+    const componentType = this.parseType();
+    
+    let isVarArgs = false;
+    if (this.match(JavaTokenType.ELLIPSIS)) {
+      isVarArgs = true;
+      this.advance();
+    }
     
-    const body = new Block(bodyStatements);
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected record component name');
     
-    return new EnumDeclaration(name, modifiers, interfaces, constants, body, annotations,
-                              enumToken.line, enumToken.column);
+    const component = new RecordComponent(nameToken.value, componentType, isVarArgs, annotations,
+                                          nameToken.line, nameToken.column);
+    return this.finishNode(component, this.declarationStart(annotations, [], componentType));
+  }
+
+  // enumConstant: annotation* IDENTIFIER arguments? classBody?
+  enumConstant() {
+    const annotations = this.parseAnnotations();
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected enum constant name');
+    
+    let args = null;
+    if (this.match(JavaTokenType.LPAREN)) {
+      args = this.arguments();
+    }
+    
+    let body = null;
+    if (this.match(JavaTokenType.LBRACE)) {
+      body = this.classBody();
+    }
+    
+    const constant = new EnumConstant(nameToken.value, args, body, annotations, nameToken.line, nameToken.column);
+    return this.finishNode(constant, this.declarationStart(annotations, [], nameToken));
   }
 
   // Parse generic type parameters: '<' typeParameter (',' typeParameter)* '>'
   parseTypeParameters() {
     this.consume(JavaTokenType.LESS_THAN, 'Expected "<"');
     
-    const typeParameters = [];
+    const typeParameters = [this.typeParameter()];
     
-    // Parse first type parameter
-    if (this.match(JavaTokenType.IDENTIFIER)) {
-      typeParameters.push(this.currentToken.value);
+    while (this.match(JavaTokenType.COMMA)) {
       this.advance();
+      typeParameters.push(this.typeParameter());
     }
     
-    // Parse additional type parameters
-    while (this.match(JavaTokenType.COMMA)) {
+    this.consumeTypeArgumentsEnd('Expected ">" after type parameters');
+    
+    return typeParameters;
+  }
+
+  // typeParameter: annotation* IDENTIFIER ('extends' type ('&' type)*)?
+  typeParameter() {
+    const annotations = this.parseAnnotations();
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected type parameter name');
+    
+    const bounds = [];
+    if (this.match(JavaTokenType.EXTENDS)) {
       this.advance();
-      if (this.match(JavaTokenType.IDENTIFIER)) {
-        typeParameters.push(this.currentToken.value);
+      bounds.push(this.parseType());
+      
+      while (this.match(JavaTokenType.BITWISE_AND)) {
         this.advance();
+        bounds.push(this.parseType());
       }
     }
     
-    this.consume(JavaTokenType.GREATER_THAN, 'Expected ">"');
-    
-    return typeParameters;
+    const typeParameter = new TypeParameter(nameToken.value, bounds, annotations, nameToken.line, nameToken.column);
+    return this.finishNode(typeParameter, this.declarationStart(annotations, [], nameToken));
   }
 
   // classBody: '{' classMember* '}'
   classBody() {
-    this.consume(JavaTokenType.LBRACE, 'Expected "{"');
+    const lbrace = this.consume(JavaTokenType.LBRACE, 'Expected "{"');
     
     const members = [];
     
     while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
-      const member = this.classMember();
+      const member = this.withComments(() => this.recoverMember(() => this.classMember()));
       if (member) {
         members.push(member);
       }
     }
     
+    const body = this.attachInnerComments(new Block(members));
     this.consume(JavaTokenType.RBRACE, 'Expected "}"');
     
-    return new Block(members);
+    return this.finishNode(body, lbrace);
+  }
+
+  recoverMember(parseMember) {
+    return this.recoverElement(parseMember, () => this.skipToNextMember());
+  }
+
+  recoverStatement() {
+    return this.recoverElement(() => this.statement(), () => this.skipToStatementBoundary());
   }
 
   // classMember: methodDeclaration | constructorDeclaration | fieldDeclaration
@@ -609,28 +1551,27 @@ class JavaParser {
     const annotations = this.parseAnnotations();
     const modifiers = this.parseModifiers();
     
+    // Initializer block: static { ... } or { ... }
+    if (this.match(JavaTokenType.LBRACE)) {
+      const startToken = modifiers.length > 0 ? modifiers[0] : this.currentToken;
+      const isStatic = modifiers.some(modifier => modifier.name === 'static');
+      const initializer = new InitializerBlock(this.block(), isStatic, startToken.line, startToken.column);
+      return this.finishNode(initializer, this.declarationStart(annotations, modifiers, startToken));
+    }
+    
     // Check if we have a method, constructor, or field
     if (this.match(JavaTokenType.VOID)) {
       // void can only be a method return type
+      if (this.peek().type !== JavaTokenType.IDENTIFIER) {
+        return this.skipMember(startPos); // no method name (void = 5;)
+      }
       return this.methodDeclaration(modifiers, annotations);
     } else if (this.match(JavaTokenType.INT, JavaTokenType.DOUBLE,
                          JavaTokenType.BOOLEAN_TYPE, JavaTokenType.FLOAT, JavaTokenType.LONG,
                          JavaTokenType.SHORT, JavaTokenType.BYTE, JavaTokenType.CHAR_TYPE)) {
       // Primitive type - could be method or field
-      const typeToken = this.currentToken;
-      const nextToken = this.peek();
-      
-      // Look ahead past array brackets to find the identifier
-      let lookahead = 1;
-      
-      // Skip array brackets if present (e.g., int[], char[][])
-      while (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.LBRACKET) {
-        lookahead++; // skip [
-        if (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.RBRACKET) {
-          lookahead++; // skip ]
-        }
-      }
-      
+      // Look ahead past array brackets to find the identifier (int[], char @A [][])
+      const lookahead = this.scanType(0);
       const identifierToken = this.peek(lookahead);
       
       if (identifierToken && identifierToken.type === JavaTokenType.IDENTIFIER) {
@@ -644,45 +1585,42 @@ class JavaParser {
           return this.fieldDeclaration(modifiers, annotations);
         }
       } else {
-        // No identifier found - this is unusual, but assume method for safety
-        return this.methodDeclaration(modifiers, annotations);
+        // No name after the type (int = 5;): neither a method nor a field
+        return this.skipMember(startPos);
       }
     }
     
+    // Generic method or constructor: <T> T get() / <T> Name(T value)
+    if (this.match(JavaTokenType.LESS_THAN)) {
+      const lessThan = this.currentToken;
+      const typeParameters = this.parseTypeParameters();
+      const member = this.match(JavaTokenType.IDENTIFIER) && this.peek().type === JavaTokenType.LPAREN
+        ? this.constructorDeclaration(modifiers, annotations)
+        : this.methodDeclaration(modifiers, annotations);
+      member.typeParameters = typeParameters;
+      return this.finishNode(member, this.declarationStart(annotations, modifiers, lessThan), member);
+    }
+    
+    // Member types (static nested and inner classes, interfaces, enums, records, annotation types)
+    const memberType = this.memberTypeDeclaration(modifiers, annotations);
+    if (memberType) {
+      return memberType;
+    }
+    
+    // Compact canonical constructor of a record: Name { ... }
+    if (this.match(JavaTokenType.IDENTIFIER) && this.peek().type === JavaTokenType.LBRACE) {
+      return this.compactConstructorDeclaration(modifiers, annotations);
+    }
+    
     if (this.match(JavaTokenType.IDENTIFIER)) {
       // Could be either a method with object return type or a constructor
       const name = this.currentToken.value;
       
-      // Look ahead to find method name, handling generic types like List<String>
-      let lookahead = 1;
-      let foundMethodName = false;
-      
-      // Skip generic type parameters if present (e.g., List<String>)
-      if (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.LESS_THAN) {
-        lookahead++; // skip <
-        let genericDepth = 1;
-        
-        while (genericDepth > 0 && this.peek(lookahead)) {
-          const token = this.peek(lookahead);
-          if (token.type === JavaTokenType.LESS_THAN) {
-            genericDepth++;
-          } else if (token.type === JavaTokenType.GREATER_THAN) {
-            genericDepth--;
-          }
-          lookahead++;
-        }
-      }
-      
-      // Skip array brackets if present
-      while (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.LBRACKET) {
-        lookahead++; // skip [
-        if (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.RBRACKET) {
-          lookahead++; // skip ]
-        }
-      }
+      // Look ahead past the type (qualified names, generics like Map<K, List<V>>, arrays)
+      const lookahead = this.scanType(0);
       
       // Now check what we have
-      const nextToken = this.peek(lookahead);
+      const nextToken = lookahead > 0 ? this.peek(lookahead) : null;
       
       if (nextToken && nextToken.type === JavaTokenType.LPAREN) {
         // identifier (possibly with generics/arrays) followed by ( - this is a constructor
@@ -701,12 +1639,25 @@ class JavaParser {
         }
       } else {
         // Probably a field or something else - skip it
-        this.skipToNextMember();
-        return null;
+        return this.skipMember(startPos);
       }
     }
     
-    // If we get here, it might be a field declaration or something we don't handle
+    // If we get here, it might be a field declaration or something we don't handle;
+    // a lone ';' is an empty declaration
+    if (this.match(JavaTokenType.SEMICOLON) && this.current === startPos) {
+      this.advance();
+      return null;
+    }
+    
+    return this.skipMember(startPos);
+  }
+
+  // Skip an unrecognized member; recover mode keeps its tokens as an ErrorNode
+  skipMember(startPos) {
+    const startToken = this.tokens[startPos];
+    const message = 'Expected member declaration';
+    this.reportRecovered(this.parseError(message, DiagnosticCode.EXPECTED_DECLARATION, startToken));
     this.skipToNextMember();
     
     // Safety check: ensure we made progress
@@ -714,7 +1665,11 @@ class JavaParser {
       this.advance(); // Force progress to prevent infinite loop
     }
     
-    return null;
+    if (!this.recover) {
+      return null;
+    }
+    const errorNode = new ErrorNode(message, this.tokens.slice(startPos, this.current), startToken.line, startToken.column);
+    return this.finishNode(errorNode, startToken);
   }
 
   // Check if current position is a method declaration
@@ -763,19 +1718,7 @@ class JavaParser {
     const parameters = this.parameterList();
     this.consume(JavaTokenType.RPAREN, 'Expected ")" after parameters');
     
-    // Skip throws clause for simplicity
-    if (this.match(JavaTokenType.THROWS)) {
-      this.advance();
-      // Skip exception types
-      while (this.match(JavaTokenType.IDENTIFIER)) {
-        this.advance();
-        if (this.match(JavaTokenType.COMMA)) {
-          this.advance();
-        } else {
-          break;
-        }
-      }
-    }
+    const exceptionTypes = this.throwsClause();
     
     let body = null;
     if (this.match(JavaTokenType.LBRACE)) {
@@ -784,8 +1727,10 @@ class JavaParser {
       this.consume(JavaTokenType.SEMICOLON, 'Expected ";" or method body');
     }
     
-    return new MethodDeclaration(nameToken.value, returnType, parameters, modifiers, body, annotations,
-                                nameToken.line, nameToken.column);
+    const methodDecl = new MethodDeclaration(nameToken.value, returnType, parameters, modifiers, body, annotations,
+                                             nameToken.line, nameToken.column);
+    methodDecl.throws = exceptionTypes;
+    return this.finishNode(methodDecl, this.declarationStart(annotations, modifiers, returnType));
   }
 
   // constructorDeclaration: IDENTIFIER '(' parameterList? ')' ('throws' exceptionList)? block
@@ -796,23 +1741,124 @@ class JavaParser {
     const parameters = this.parameterList();
     this.consume(JavaTokenType.RPAREN, 'Expected ")" after parameters');
     
-    // Skip throws clause for simplicity
+    const exceptionTypes = this.throwsClause();
+    const body = this.methodBody();
+    
+    const constructorDecl = new ConstructorDeclaration(nameToken.value, parameters, modifiers, body, annotations,
+                                                       nameToken.line, nameToken.column);
+    constructorDecl.throws = exceptionTypes;
+    return this.finishNode(constructorDecl, this.declarationStart(annotations, modifiers, nameToken));
+  }
+
+  // throwsClause: ('throws' type (',' type)*)?
+  throwsClause() {
+    const exceptionTypes = [];
+    
     if (this.match(JavaTokenType.THROWS)) {
       this.advance();
-      while (this.match(JavaTokenType.IDENTIFIER)) {
+      exceptionTypes.push(this.parseType());
+      
+      while (this.match(JavaTokenType.COMMA)) {
         this.advance();
-        if (this.match(JavaTokenType.COMMA)) {
-          this.advance();
-        } else {
-          break;
-        }
+        exceptionTypes.push(this.parseType());
+      }
+    }
+    
+    return exceptionTypes;
+  }
+
+  // Parse a member type declaration after its annotations and modifiers, or return null if there is none
+  memberTypeDeclaration(modifiers, annotations) {
+    if (this.match(JavaTokenType.CLASS)) {
+      return this.classDeclaration(modifiers, annotations);
+    } else if (this.match(JavaTokenType.INTERFACE)) {
+      return this.interfaceDeclaration(modifiers, annotations);
+    } else if (this.match(JavaTokenType.ENUM)) {
+      return this.enumDeclaration(modifiers, annotations);
+    } else if (this.isRecordStart()) {
+      return this.recordDeclaration(modifiers, annotations);
+    } else if (this.match(JavaTokenType.AT) && this.peek().type === JavaTokenType.INTERFACE) {
+      return this.annotationTypeDeclaration(modifiers, annotations);
+    }
+    
+    return null;
+  }
+
+  // annotationTypeDeclaration: '@' 'interface' IDENTIFIER '{' annotationTypeMember* '}'
+  annotationTypeDeclaration(modifiers = [], annotations = []) {
+    const atToken = this.consume(JavaTokenType.AT);
+    this.consume(JavaTokenType.INTERFACE, 'Expected "interface" after "@"');
+    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected annotation type name').value;
+    
+    const lbrace = this.consume(JavaTokenType.LBRACE, 'Expected "{"');
+    
+    const members = [];
+    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
+      if (this.match(JavaTokenType.SEMICOLON)) {
+        this.advance();
+        continue;
       }
+      members.push(this.withComments(() => this.recoverMember(() => this.annotationTypeMember())));
+    }
+    
+    const body = this.attachInnerComments(new Block(members));
+    this.consume(JavaTokenType.RBRACE, 'Expected "}"');
+    this.finishNode(body, lbrace);
+    
+    const annotationTypeDecl = new AnnotationTypeDeclaration(name, modifiers, body, annotations,
+                                                             atToken.line, atToken.column);
+    return this.finishNode(annotationTypeDecl, this.declarationStart(annotations, modifiers, atToken));
+  }
+
+  // annotationTypeMember: modifiers (type IDENTIFIER '(' ')' ('default' elementValue)? ';' | fieldDeclaration | memberType)
+  annotationTypeMember() {
+    const annotations = this.parseAnnotations();
+    const modifiers = this.parseModifiers();
+    
+    const memberType = this.memberTypeDeclaration(modifiers, annotations);
+    if (memberType) {
+      return memberType;
+    }
+    
+    const typeEnd = this.scanType(0);
+    if (typeEnd < 0 || this.peek(typeEnd + 1).type !== JavaTokenType.LPAREN) {
+      return this.fieldDeclaration(modifiers, annotations);
+    }
+    
+    const elementType = this.parseType();
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected annotation element name');
+    this.consume(JavaTokenType.LPAREN, 'Expected "(" after annotation element name');
+    this.consume(JavaTokenType.RPAREN, 'Annotation elements cannot have parameters');
+    
+    let defaultValue = null;
+    if (this.match(JavaTokenType.DEFAULT)) {
+      this.advance();
+      defaultValue = this.elementValue();
     }
     
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after annotation element');
+    
+    return this.finishNode({
+      type: 'AnnotationElementDeclaration',
+      modifiers: modifiers,
+      annotations: annotations,
+      elementType: elementType,
+      name: nameToken.value,
+      defaultValue: defaultValue,
+      line: nameToken.line,
+      column: nameToken.column
+    }, this.declarationStart(annotations, modifiers, elementType));
+  }
+
+  // compactConstructorDeclaration: IDENTIFIER block (records only; the parameters are the record components)
+  compactConstructorDeclaration(modifiers = [], annotations = []) {
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected constructor name');
     const body = this.methodBody();
     
-    return new ConstructorDeclaration(nameToken.value, parameters, modifiers, body, annotations,
-                                     nameToken.line, nameToken.column);
+    const constructorDecl = new ConstructorDeclaration(nameToken.value, [], modifiers, body, annotations,
+                                                       nameToken.line, nameToken.column);
+    constructorDecl.isCompact = true;
+    return this.finishNode(constructorDecl, this.declarationStart(annotations, modifiers, nameToken));
   }
 
   // parameterList: parameter (',' parameter)*
@@ -831,13 +1877,12 @@ class JavaParser {
     return parameters;
   }
 
-  // parameter: annotation* ('final')? type IDENTIFIER
+  // parameter: annotation* ('final')? type '...'? IDENTIFIER
+  //          | annotation* type (IDENTIFIER '.')? 'this'   (receiver parameter)
   parameter() {
-    // Parse annotations (e.g., @ProbeClassName, @ProbeMethodName)
-    const annotations = [];
-    while (this.match(JavaTokenType.AT)) {
-      annotations.push(this.annotation());
-    }
+    // Parse annotations (e.g., @ProbeClassName, @RequestParam("id"))
+    const startToken = this.currentToken;
+    const annotations = this.parseAnnotations();
     
     let isFinal = false;
     if (this.match(JavaTokenType.FINAL)) {
@@ -846,60 +1891,104 @@ class JavaParser {
     }
     
     const type = this.parseType();
+    
+    let isVarArgs = false;
+    if (this.match(JavaTokenType.ELLIPSIS)) {
+      isVarArgs = true;
+      this.advance();
+    }
+    
+    // Receiver parameter: void m(Foo this) or Inner(Outer Outer.this)
+    if (this.match(JavaTokenType.THIS) ||
+        (this.match(JavaTokenType.IDENTIFIER) && this.peek().type === JavaTokenType.DOT &&
+         this.peek(2).type === JavaTokenType.THIS)) {
+      const nameToken = this.currentToken;
+      let name = 'this';
+      if (this.match(JavaTokenType.IDENTIFIER)) {
+        name = this.currentToken.value + '.this';
+        this.advance();
+        this.advance();
+      }
+      this.consume(JavaTokenType.THIS);
+      
+      const receiver = new Parameter(name, type, isFinal, nameToken.line, nameToken.column);
+      receiver.isReceiver = true;
+      receiver.annotations = annotations;
+      return this.finishNode(receiver, this.nodeStart(startToken, type));
+    }
+    
     const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected parameter name');
     
-    return new Parameter(nameToken.value, type, isFinal, nameToken.line, nameToken.column);
+    const param = new Parameter(nameToken.value, type, isFinal, nameToken.line, nameToken.column);
+    param.isVarArgs = isVarArgs;
+    param.dimensionAnnotations = this.parseDimensions(); // C-style: String args[]
+    param.arrayDimensions = param.dimensionAnnotations.length;
+    param.annotations = annotations;
+    return this.finishNode(param, this.nodeStart(startToken, type));
   }
 
-  // Parse type (including arrays and generics)
-  parseType() {
-    let typeName;
+  // Parse type: annotation* (primitiveType | classType) (annotation* '[' ']')*
+  // Without dimensions only the element type is read ('new' reads its brackets itself)
+  parseType(dimensions = true) {
     const startToken = this.currentToken;
+    const annotations = this.parseAnnotations();
+    let type;
     
     if (this.match(JavaTokenType.VOID, JavaTokenType.BOOLEAN_TYPE, JavaTokenType.BYTE,
                   JavaTokenType.SHORT, JavaTokenType.INT, JavaTokenType.LONG,
                   JavaTokenType.FLOAT, JavaTokenType.DOUBLE, JavaTokenType.CHAR_TYPE)) {
-      typeName = this.currentToken.value;
+      type = new Type(this.currentToken.value, false, 0, startToken.line, startToken.column);
       this.advance();
     } else if (this.match(JavaTokenType.IDENTIFIER)) {
-      typeName = this.qualifiedName();
-      
-      // Handle generic type parameters (e.g., List<String>, Map<String, Integer>)
-      if (this.match(JavaTokenType.LESS_THAN)) {
-        this.advance(); // consume <
-        let genericDepth = 1;
-        const genericTokens = ['<'];
-        
-        // Collect all tokens until we close the generic declaration
-        while (genericDepth > 0 && !this.match(JavaTokenType.EOF)) {
-          const token = this.currentToken;
-          genericTokens.push(token.value);
-          
-          if (token.type === JavaTokenType.LESS_THAN) {
-            genericDepth++;
-          } else if (token.type === JavaTokenType.GREATER_THAN) {
-            genericDepth--;
-          }
-          
-          this.advance();
-        }
-        
-        // Append the generic part to the type name
-        typeName += genericTokens.join('');
-      }
+      type = this.classType(startToken);
     } else {
-      this.error('Expected type');
+      return this.missing('type', 'Expected type', DiagnosticCode.EXPECTED_TYPE);
     }
     
-    // Handle array dimensions
-    let arrayDimensions = 0;
-    while (this.match(JavaTokenType.LBRACKET)) {
-      this.advance();
-      this.consume(JavaTokenType.RBRACKET, 'Expected "]"');
-      arrayDimensions++;
+    type.annotations = annotations;
+    
+    if (dimensions) {
+      type.dimensionAnnotations = this.parseDimensions();
+      type.arrayDimensions = type.dimensionAnnotations.length;
+      type.isArray = type.arrayDimensions > 0;
+    }
+    
+    return this.finishNode(type, startToken);
+  }
+
+  // classType: IDENTIFIER typeArguments? ('.' IDENTIFIER typeArguments?)*
+  classType(startToken) {
+    const nameParts = [this.consume(JavaTokenType.IDENTIFIER, 'Expected type name').value];
+    let typeArguments = null;
+    let scope = null;
+    
+    while (true) {
+      if (this.match(JavaTokenType.LESS_THAN)) {
+        typeArguments = this.typeArguments();
+      }
+      
+      if (!this.match(JavaTokenType.DOT) || this.peek().type !== JavaTokenType.IDENTIFIER) {
+        break;
+      }
+      
+      // Type arguments on an outer part (Outer<String>.Inner) move that part into the scope
+      if (typeArguments) {
+        scope = this.makeClassType(nameParts.slice(), typeArguments, scope, startToken);
+        typeArguments = null;
+      }
+      
+      this.advance(); // consume '.'
+      nameParts.push(this.consume(JavaTokenType.IDENTIFIER).value);
     }
     
-    return new Type(typeName, arrayDimensions > 0, arrayDimensions, startToken.line, startToken.column);
+    return this.makeClassType(nameParts, typeArguments, scope, startToken);
+  }
+
+  makeClassType(nameParts, typeArguments, scope, startToken) {
+    const type = new Type(nameParts.join('.'), false, 0, startToken.line, startToken.column);
+    type.typeArguments = typeArguments;
+    type.scope = scope;
+    return this.finishNode(type, startToken);
   }
 
   // methodBody: block
@@ -910,41 +1999,44 @@ class JavaParser {
   // block: '{' statement* '}'
   block() {
     const lbrace = this.consume(JavaTokenType.LBRACE);
+    if (lbrace.missing) {
+      // recover mode: leave the '}' to the enclosing body
+      return this.finishNode(new Block([], lbrace.line, lbrace.column), lbrace);
+    }
+    
     const statements = [];
-    let statementCount = 0;
-    const maxStatements = 1000; // Further increased limit for very complex methods
     
-    // Parse statements inside the block
-    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF) && 
-           statementCount < maxStatements) {
+    // Parse statements inside the block; every iteration consumes at least one token
+    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
+      const startPos = this.current;
       
       try {
-        const stmt = this.statement();
+        const stmt = this.withComments(() => this.recoverStatement());
         if (stmt) {
           statements.push(stmt);
         }
-        statementCount++;
-        
       } catch (error) {
-        console.warn(`Statement parsing error at line ${this.currentToken.line}: ${error.message}`);
+        this.report(this.diagnosticFor(error));
         // Skip to next statement boundary on error
         this.skipToStatementBoundary();
-        statementCount++;
+      }
+      
+      if (this.current === startPos && !this.match(JavaTokenType.RBRACE)) {
+        this.advance();
       }
     }
     
-    if (statementCount >= maxStatements) {
-      console.warn('Block parsing hit statement limit, some statements may be missing');
-    }
+    const block = this.attachInnerComments(new Block(statements, lbrace.line, lbrace.column));
     
     if (this.match(JavaTokenType.EOF)) {
-      console.warn(`Unexpected EOF while parsing block started at line ${lbrace.line}, parsed ${statementCount} statements`);
-      return new Block(statements, lbrace.line, lbrace.column);
+      this.diagnose(DiagnosticSeverity.ERROR, DiagnosticCode.UNEXPECTED_EOF,
+                    `Unexpected end of file in block started at line ${lbrace.line}`);
+      return this.finishNode(block, lbrace);
     }
     
     this.consume(JavaTokenType.RBRACE, 'Expected "}"');
     
-    return new Block(statements, lbrace.line, lbrace.column);
+    return this.finishNode(block, lbrace);
   }
   // Parse individual statements
   statement() {
@@ -988,6 +2080,51 @@ class JavaParser {
       return this.tryStatement();
     }
     
+    // Switch statement
+    if (this.match(JavaTokenType.SWITCH)) {
+      return this.switchStatement();
+    }
+    
+    // Nested block
+    if (this.match(JavaTokenType.LBRACE)) {
+      return this.block();
+    }
+    
+    // Jump statements
+    if (this.match(JavaTokenType.BREAK, JavaTokenType.CONTINUE)) {
+      return this.jumpStatement();
+    }
+    
+    // Throw statement
+    if (this.match(JavaTokenType.THROW)) {
+      return this.throwStatement();
+    }
+    
+    // Synchronized block (synchronized as a modifier is handled in class members)
+    if (this.match(JavaTokenType.SYNCHRONIZED) && this.peek().type === JavaTokenType.LPAREN) {
+      return this.synchronizedStatement();
+    }
+    
+    // Assert statement
+    if (this.match(JavaTokenType.ASSERT)) {
+      return this.assertStatement();
+    }
+    
+    // Labeled statement: outer: for (...)
+    if (this.match(JavaTokenType.IDENTIFIER) && this.peek().type === JavaTokenType.COLON) {
+      return this.labeledStatement();
+    }
+    
+    // Yield statement (inside switch expressions)
+    if (this.isYieldStatement()) {
+      return this.yieldStatement();
+    }
+    
+    // Local class, interface, enum or record
+    if (this.isLocalTypeDeclaration()) {
+      return this.typeDeclaration();
+    }
+    
     // Simple variable declaration or expression statement
     const result = this.variableDeclarationOrExpression();
     
@@ -1011,43 +2148,19 @@ class JavaParser {
     
     this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after return statement');
     
-    return {
+    return this.finishNode({
       type: 'ReturnStatement',
       expression: expression,
       line: returnToken.line,
       column: returnToken.column
-    };
+    }, returnToken);
   }
 
   // Parse if statement
   ifStatement() {
     const ifToken = this.consume(JavaTokenType.IF);
     this.consume(JavaTokenType.LPAREN, 'Expected "(" after if');
-    
-    // Collect condition tokens with proper nesting handling
-    const conditionTokens = [];
-    let parenCount = 0;
-    
-    while (!this.match(JavaTokenType.EOF)) {
-      if (this.match(JavaTokenType.LPAREN)) {
-        parenCount++;
-      } else if (this.match(JavaTokenType.RPAREN)) {
-        if (parenCount === 0) {
-          break; // This is the closing paren for the if condition
-        }
-        parenCount--;
-      }
-      
-      conditionTokens.push({
-        type: this.currentToken.type,
-        value: this.currentToken.value,
-        line: this.currentToken.line,
-        column: this.currentToken.column,
-        position: this.currentToken.position || 0
-      });
-      this.advance();
-    }
-    
+    const condition = this.expression();
     this.consume(JavaTokenType.RPAREN, 'Expected ")" after if condition');
     
     // Check if the then statement is a block or a single statement
@@ -1069,38 +2182,51 @@ class JavaParser {
       }
     }
     
-    return {
+    return this.finishNode({
       type: 'IfStatement',
-      condition: {
-        type: 'Expression',
-        tokens: conditionTokens,
-        line: ifToken.line,
-        column: ifToken.column
-      },
+      condition: condition,
       thenStatement: thenStatement,
       elseStatement: elseStatement,
       line: ifToken.line,
       column: ifToken.column
-    };
+    }, ifToken);
   }
 
-  // Parse for statement (simplified)
+  // Parse for statement:
+  //   'for' '(' forInit? ';' expression? ';' expressionList? ')' statement
+  //   'for' '(' modifiers type IDENTIFIER ':' expression ')' statement
   forStatement() {
     const forToken = this.consume(JavaTokenType.FOR);
     this.consume(JavaTokenType.LPAREN, 'Expected "(" after for');
     
-    // Collect all tokens within the for loop parentheses
-    const tokens = [forToken, { type: 'LPAREN', value: '(', line: forToken.line, column: forToken.column }];
-    let parenCount = 1;
+    let init = [];
+    const annotations = this.parseAnnotations();
+    const modifiers = this.parseModifiers();
+    
+    if (annotations.length > 0 || modifiers.length > 0 || this.isVariableDeclaration()) {
+      const typeEnd = this.scanType(0);
+      if (typeEnd > 0 && this.peek(typeEnd + 1).type === JavaTokenType.COLON) {
+        return this.enhancedForStatement(forToken, modifiers, annotations);
+      }
+      init = [this.variableDeclaration(modifiers, annotations)]; // consumes the ';'
+    } else {
+      if (!this.match(JavaTokenType.SEMICOLON)) {
+        init = this.expressionList();
+      }
+      this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after for initializer');
+    }
     
-    while (parenCount > 0 && !this.match(JavaTokenType.EOF)) {
-      const token = this.currentToken;
-      tokens.push(token);
-      
-      if (this.match(JavaTokenType.LPAREN)) parenCount++;
-      if (this.match(JavaTokenType.RPAREN)) parenCount--;
-      this.advance();
+    let condition = null;
+    if (!this.match(JavaTokenType.SEMICOLON)) {
+      condition = this.expression();
+    }
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after for condition');
+    
+    let update = [];
+    if (!this.match(JavaTokenType.RPAREN)) {
+      update = this.expressionList();
     }
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after for update');
     
     // Check if the body is a block or a single statement
     let body;
@@ -1110,26 +2236,62 @@ class JavaParser {
       body = this.statement();
     }
     
-    return {
+    return this.finishNode({
       type: 'ForStatement',
+      init: init,
+      condition: condition,
+      update: update,
       body: body,
-      tokens: tokens,
       line: forToken.line,
       column: forToken.column
-    };
+    }, forToken);
   }
-  // Parse while statement
-  whileStatement() {
-    const whileToken = this.consume(JavaTokenType.WHILE);
-    this.consume(JavaTokenType.LPAREN, 'Expected "(" after while');
+
+  // Parse the rest of an enhanced for after '(' and the variable modifiers: type IDENTIFIER ':' expression ')' statement
+  enhancedForStatement(forToken, modifiers, annotations) {
+    const variableType = this.parseType();
+    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected loop variable name').value;
+    this.consume(JavaTokenType.COLON, 'Expected ":" in enhanced for');
+    const iterable = this.expression();
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after enhanced for');
     
-    // Collect condition tokens
-    const conditionTokens = [];
-    while (!this.match(JavaTokenType.RPAREN) && !this.match(JavaTokenType.EOF)) {
-      conditionTokens.push(this.currentToken);
+    let body;
+    if (this.match(JavaTokenType.LBRACE)) {
+      body = this.block();
+    } else {
+      body = this.statement();
+    }
+    
+    return this.finishNode({
+      type: 'EnhancedForStatement',
+      modifiers: modifiers,
+      annotations: annotations,
+      variableType: variableType,
+      name: name,
+      iterable: iterable,
+      body: body,
+      line: forToken.line,
+      column: forToken.column
+    }, forToken);
+  }
+
+  // expressionList: expression (',' expression)*
+  expressionList() {
+    const expressions = [this.expression()];
+    
+    while (this.match(JavaTokenType.COMMA)) {
       this.advance();
+      expressions.push(this.expression());
     }
     
+    return expressions;
+  }
+
+  // Parse while statement
+  whileStatement() {
+    const whileToken = this.consume(JavaTokenType.WHILE);
+    this.consume(JavaTokenType.LPAREN, 'Expected "(" after while');
+    const condition = this.expression();
     this.consume(JavaTokenType.RPAREN, 'Expected ")" after while condition');
     
     // Check if the body is a block or a single statement
@@ -1140,18 +2302,13 @@ class JavaParser {
       body = this.statement();
     }
     
-    return {
+    return this.finishNode({
       type: 'WhileStatement',
-      condition: {
-        type: 'Expression',
-        tokens: conditionTokens,
-        line: whileToken.line,
-        column: whileToken.column
-      },
+      condition: condition,
       body: body,
       line: whileToken.line,
       column: whileToken.column
-    };
+    }, whileToken);
   }
 
   // Parse do-while statement
@@ -1169,51 +2326,116 @@ class JavaParser {
     // Expect 'while' keyword
     this.consume(JavaTokenType.WHILE, 'Expected "while" after do body');
     this.consume(JavaTokenType.LPAREN, 'Expected "(" after while');
-    
-    // Collect condition tokens
-    const conditionTokens = [];
-    let parenCount = 0;
-    
-    while (!this.match(JavaTokenType.EOF)) {
-      if (this.match(JavaTokenType.LPAREN)) {
-        parenCount++;
-      } else if (this.match(JavaTokenType.RPAREN)) {
-        if (parenCount === 0) {
-          break; // This is the closing paren for the while condition
-        }
-        parenCount--;
-      }
-      
-      conditionTokens.push({
-        type: this.currentToken.type,
-        value: this.currentToken.value,
-        line: this.currentToken.line,
-        column: this.currentToken.column,
-        position: this.currentToken.position || 0
-      });
-      this.advance();
-    }
-    
+    const condition = this.expression();
     this.consume(JavaTokenType.RPAREN, 'Expected ")" after while condition');
     this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after do-while statement');
     
-    return {
+    return this.finishNode({
       type: 'DoWhileStatement',
       body: body,
-      condition: {
-        type: 'Expression',
-        tokens: conditionTokens,
-        line: doToken.line,
-        column: doToken.column
-      },
+      condition: condition,
       line: doToken.line,
       column: doToken.column
-    };
+    }, doToken);
+  }
+
+  // Parse break or continue statement: ('break' | 'continue') IDENTIFIER? ';'
+  jumpStatement() {
+    const keywordToken = this.currentToken;
+    this.advance();
+    
+    let label = null;
+    if (this.match(JavaTokenType.IDENTIFIER)) {
+      label = this.currentToken.value;
+      this.advance();
+    }
+    
+    this.consume(JavaTokenType.SEMICOLON, `Expected ";" after ${keywordToken.value}`);
+    
+    return this.finishNode({
+      type: keywordToken.type === JavaTokenType.BREAK ? 'BreakStatement' : 'ContinueStatement',
+      label: label,
+      line: keywordToken.line,
+      column: keywordToken.column
+    }, keywordToken);
+  }
+
+  // Parse throw statement: 'throw' expression ';'
+  throwStatement() {
+    const throwToken = this.consume(JavaTokenType.THROW);
+    const expression = this.expression();
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after throw statement');
+    
+    return this.finishNode({
+      type: 'ThrowStatement',
+      expression: expression,
+      line: throwToken.line,
+      column: throwToken.column
+    }, throwToken);
+  }
+
+  // Parse synchronized statement: 'synchronized' '(' expression ')' block
+  synchronizedStatement() {
+    const synchronizedToken = this.consume(JavaTokenType.SYNCHRONIZED);
+    this.consume(JavaTokenType.LPAREN, 'Expected "(" after synchronized');
+    const lock = this.expression();
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after synchronized lock');
+    
+    return this.finishNode({
+      type: 'SynchronizedStatement',
+      lock: lock,
+      body: this.block(),
+      line: synchronizedToken.line,
+      column: synchronizedToken.column
+    }, synchronizedToken);
+  }
+
+  // Parse assert statement: 'assert' expression (':' expression)? ';'
+  assertStatement() {
+    const assertToken = this.consume(JavaTokenType.ASSERT);
+    const condition = this.expression();
+    
+    let message = null;
+    if (this.match(JavaTokenType.COLON)) {
+      this.advance();
+      message = this.expression();
+    }
+    
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after assert statement');
+    
+    return this.finishNode({
+      type: 'AssertStatement',
+      condition: condition,
+      message: message,
+      line: assertToken.line,
+      column: assertToken.column
+    }, assertToken);
   }
 
-  // Parse try statement
+  // Parse labeled statement: IDENTIFIER ':' statement
+  labeledStatement() {
+    const labelToken = this.consume(JavaTokenType.IDENTIFIER);
+    this.consume(JavaTokenType.COLON, 'Expected ":" after label');
+    
+    return this.finishNode({
+      type: 'LabeledStatement',
+      label: labelToken.value,
+      body: this.statement(),
+      line: labelToken.line,
+      column: labelToken.column
+    }, labelToken);
+  }
+
+  // Parse try statement:
+  //   'try' resourceSpecification? block catchClause* ('finally' block)?
   tryStatement() {
     const tryToken = this.consume(JavaTokenType.TRY);
+    
+    let resources = [];
+    if (this.match(JavaTokenType.LPAREN)) {
+      resources = this.resourceSpecification();
+    }
+    
     const tryBlock = this.block();
     
     const catchBlocks = [];
@@ -1223,29 +2445,17 @@ class JavaParser {
     while (this.match(JavaTokenType.CATCH)) {
       const catchToken = this.consume(JavaTokenType.CATCH);
       this.consume(JavaTokenType.LPAREN, 'Expected "(" after catch');
-      
-      // Collect exception parameter tokens
-      const parameterTokens = [];
-      while (!this.match(JavaTokenType.RPAREN) && !this.match(JavaTokenType.EOF)) {
-        parameterTokens.push(this.currentToken);
-        this.advance();
-      }
-      
+      const parameter = this.catchParameter();
       this.consume(JavaTokenType.RPAREN, 'Expected ")" after catch parameter');
       const catchBlockBody = this.block();
       
-      catchBlocks.push({
+      catchBlocks.push(this.finishNode({
         type: 'CatchBlock',
-        parameter: {
-          type: 'Expression',
-          tokens: parameterTokens,
-          line: catchToken.line,
-          column: catchToken.column
-        },
+        parameter: parameter,
         body: catchBlockBody,
         line: catchToken.line,
         column: catchToken.column
-      });
+      }, catchToken));
     }
     
     // Parse finally block
@@ -1254,166 +2464,425 @@ class JavaParser {
       finallyBlock = this.block();
     }
     
-    return {
+    if (resources.length === 0 && catchBlocks.length === 0 && !finallyBlock) {
+      this.recoverableError('Expected "catch" or "finally" after try block', DiagnosticCode.MISSING_CATCH_OR_FINALLY);
+    }
+    
+    return this.finishNode({
       type: 'TryStatement',
+      resources: resources,
       tryBlock: tryBlock,
       catchBlocks: catchBlocks,
       finallyBlock: finallyBlock,
       line: tryToken.line,
       column: tryToken.column
-    };
+    }, tryToken);
   }
 
-  // Parse field declaration
-  fieldDeclaration(modifiers = [], annotations = []) {
-    const fieldType = this.parseType();
-    const fieldName = this.consume(JavaTokenType.IDENTIFIER, 'Expected field name').value;
+  // resourceSpecification: '(' resource (';' resource)* ';'? ')'
+  resourceSpecification() {
+    this.consume(JavaTokenType.LPAREN, 'Expected "(" after try');
+    const resources = [];
     
-    let initializer = null;
-    if (this.match(JavaTokenType.ASSIGN)) {
+    while (!this.match(JavaTokenType.RPAREN) && !this.match(JavaTokenType.EOF)) {
+      resources.push(this.resource());
+      
+      if (!this.match(JavaTokenType.SEMICOLON)) {
+        break;
+      }
       this.advance();
-      initializer = this.expression();
     }
     
-    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after field declaration');
-    
-    return {
-      type: 'FieldDeclaration',
-      modifiers: modifiers,
-      annotations: annotations,
-      fieldType: fieldType,
-      name: fieldName,
-      initializer: initializer,
-      line: fieldType.line,
-      column: fieldType.column
-    };
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after try resources');
+    return resources;
   }
 
-  // Parse variable declaration or expression
-  variableDeclarationOrExpression() {
-    const startLine = this.currentToken.line;
-    const startColumn = this.currentToken.column;
+  // resource: modifiers type IDENTIFIER '=' expression
+  //         | expression (a variable or field that is effectively final)
+  resource() {
+    const annotations = this.parseAnnotations();
+    const modifiers = this.parseModifiers();
     
-    // First check if this is a variable declaration
-    if (this.isVariableDeclaration()) {
-      return this.variableDeclaration();
+    if (annotations.length === 0 && modifiers.length === 0 && !this.isVariableDeclaration()) {
+      return this.expression();
     }
     
-    // Otherwise, parse as expression statement
-    const expression = this.expression();
-    
-    // Only create expression statement if we actually have tokens
-    if (expression.tokens && expression.tokens.length === 0) {
-      if (this.match(JavaTokenType.SEMICOLON)) {
-        this.advance();
-      }
-      return null;
+    const type = this.parseType();
+    const declarator = this.variableDeclarator(); // same shape as a local variable's declarator
+    if (!declarator.initializer) {
+      this.recoverableError('Expected "=" after resource name');
     }
     
-    if (this.match(JavaTokenType.SEMICOLON)) {
+    return this.finishNode({
+      type: 'VariableDeclaration',
+      modifiers: modifiers,
+      annotations: annotations,
+      variableType: type,
+      variables: [declarator],
+      line: type.line,
+      column: type.column
+    }, this.declarationStart(annotations, modifiers, type));
+  }
+
+  // catchParameter: modifiers type ('|' type)* IDENTIFIER
+  catchParameter() {
+    const startToken = this.currentToken;
+    const annotations = this.parseAnnotations();
+    const modifiers = this.parseModifiers();
+    
+    const exceptionTypes = [this.parseType()];
+    while (this.match(JavaTokenType.BITWISE_OR)) {
       this.advance();
+      exceptionTypes.push(this.parseType());
     }
     
-    return {
-      type: 'ExpressionStatement',
-      expression: expression,
-      line: startLine,
-      column: startColumn
+    const name = this.consume(JavaTokenType.IDENTIFIER, 'Expected catch parameter name').value;
+    
+    return this.finishNode({
+      type: 'CatchParameter',
+      modifiers: modifiers,
+      annotations: annotations,
+      exceptionTypes: exceptionTypes,
+      name: name,
+      line: startToken.line,
+      column: startToken.column
+    }, startToken);
+  }
+
+  // switchStatement: 'switch' '(' expression ')' switchBlock
+  switchStatement() {
+    return this.switchConstruct('SwitchStatement');
+  }
+
+  // switchExpression: same syntax as the statement, but used as a value
+  switchExpression() {
+    return this.switchConstruct('SwitchExpression');
+  }
+
+  switchConstruct(nodeType) {
+    const switchToken = this.consume(JavaTokenType.SWITCH);
+    this.consume(JavaTokenType.LPAREN, 'Expected "(" after switch');
+    const selector = this.expression();
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after switch selector');
+    
+    const node = {
+      type: nodeType,
+      selector: selector,
+      cases: [],
+      line: switchToken.line,
+      column: switchToken.column
     };
+    this.switchBlock(node);
+    
+    return this.finishNode(node, switchToken);
   }
 
-  // Check if current position is a variable declaration
-  isVariableDeclaration() {
-    // Look for primitive type followed by identifier
-    if (this.match(JavaTokenType.INT, JavaTokenType.DOUBLE, JavaTokenType.BOOLEAN_TYPE,
-                  JavaTokenType.FLOAT, JavaTokenType.LONG, JavaTokenType.SHORT,
-                  JavaTokenType.BYTE, JavaTokenType.CHAR_TYPE)) {
-      return true;
+  // switchBlock: '{' switchCase* '}'
+  switchBlock(switchNode) {
+    this.consume(JavaTokenType.LBRACE, 'Expected "{" after switch selector');
+    
+    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
+      switchNode.cases.push(this.withComments(() => {
+        return this.recoverElement(() => this.switchCase(), () => this.skipToStatementBoundary());
+      }));
     }
     
-    // Check for object type (identifier, possibly with generics, followed by identifier)
-    if (this.match(JavaTokenType.IDENTIFIER)) {
-      let lookahead = 1;
+    this.attachInnerComments(switchNode);
+    this.consume(JavaTokenType.RBRACE, 'Expected "}" after switch block');
+  }
+
+  // switchCase: switchLabel (':' blockStatement* | '->' (expression ';' | block | throwStatement))
+  // Each 'case ...:' label becomes its own SwitchCase; an empty statements list means fallthrough.
+  switchCase() {
+    const labelToken = this.currentToken;
+    let startNode = labelToken;
+    const labels = [];
+    let isDefault = false;
+    let guard = null;
+    
+    if (this.match(JavaTokenType.DEFAULT)) {
+      this.advance();
+      isDefault = true;
+    } else {
+      startNode = this.nodeStart(labelToken, this.consume(JavaTokenType.CASE, 'Expected "case" or "default" in switch block'));
+      labels.push(this.caseLabel());
       
-      // Skip generic type parameters if present (e.g., List<String>, Map<K,V>)
-      if (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.LESS_THAN) {
-        lookahead++; // skip <
-        let genericDepth = 1;
-        
-        while (genericDepth > 0 && this.peek(lookahead)) {
-          const token = this.peek(lookahead);
-          if (token.type === JavaTokenType.LESS_THAN) {
-            genericDepth++;
-          } else if (token.type === JavaTokenType.GREATER_THAN) {
-            genericDepth--;
-          }
-          lookahead++;
+      while (this.match(JavaTokenType.COMMA)) {
+        this.advance();
+        if (this.match(JavaTokenType.DEFAULT)) {
+          this.advance();
+          isDefault = true; // case null, default
+        } else {
+          labels.push(this.caseLabel());
         }
       }
       
-      // Skip array brackets if present
-      while (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.LBRACKET) {
-        lookahead++; // skip [
-        if (this.peek(lookahead) && this.peek(lookahead).type === JavaTokenType.RBRACKET) {
-          lookahead++; // skip ]
+      if (this.matchContextualKeyword('when')) {
+        this.advance();
+        guard = this.conditionalExpression();
+      }
+    }
+    
+    const switchCase = {
+      type: 'SwitchCase',
+      labels: labels,
+      isDefault: isDefault,
+      guard: guard,
+      isArrow: false,
+      statements: [],
+      body: null,
+      line: labelToken.line,
+      column: labelToken.column
+    };
+    
+    if (this.match(JavaTokenType.ARROW)) {
+      this.advance();
+      switchCase.isArrow = true;
+      
+      if (this.match(JavaTokenType.LBRACE)) {
+        switchCase.body = this.block();
+      } else if (this.match(JavaTokenType.THROW)) {
+        switchCase.body = this.statement();
+      } else {
+        switchCase.body = this.expression();
+        this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after switch rule expression');
+      }
+      return this.finishNode(switchCase, startNode);
+    }
+    
+    this.consume(JavaTokenType.COLON, 'Expected ":" or "->" after switch label');
+    
+    while (!this.match(JavaTokenType.CASE, JavaTokenType.DEFAULT, JavaTokenType.RBRACE, JavaTokenType.EOF)) {
+      const stmt = this.withComments(() => this.recoverStatement());
+      if (stmt) {
+        switchCase.statements.push(stmt);
+      }
+    }
+    
+    return this.finishNode(switchCase, startNode);
+  }
+
+  // caseLabel: typePattern | conditionalExpression
+  // (conditionalExpression rather than expression so 'case A ->' is not read as a lambda)
+  caseLabel() {
+    if (this.isPatternStart()) {
+      return this.pattern();
+    }
+    return this.conditionalExpression();
+  }
+
+  // A pattern is a type followed by a binding name (String s, final Circle c)
+  // or by a parenthesized component list (Point(int x, var y))
+  isPatternStart() {
+    if (this.match(JavaTokenType.FINAL, JavaTokenType.AT)) {
+      return true;
+    }
+    const end = this.scanType(0);
+    return end > 0 && (this.peek(end).type === JavaTokenType.IDENTIFIER || this.peek(end).type === JavaTokenType.LPAREN);
+  }
+
+  // pattern: typePattern | recordPattern
+  // typePattern: modifiers type IDENTIFIER
+  // recordPattern: type '(' (pattern (',' pattern)*)? ')'
+  pattern() {
+    const startToken = this.currentToken;
+    const annotations = this.parseAnnotations();
+    const modifiers = this.parseModifiers();
+    const patternType = this.parseType();
+    
+    if (this.match(JavaTokenType.LPAREN)) {
+      this.advance();
+      const components = [];
+      
+      if (!this.match(JavaTokenType.RPAREN)) {
+        components.push(this.pattern());
+        
+        while (this.match(JavaTokenType.COMMA)) {
+          this.advance();
+          components.push(this.pattern());
         }
       }
       
-      // Now check if we have an identifier (variable name)
-      const nextToken = this.peek(lookahead);
-      return nextToken && nextToken.type === JavaTokenType.IDENTIFIER;
+      this.consume(JavaTokenType.RPAREN, 'Expected ")" after record pattern components');
+      
+      return this.finishNode({
+        type: 'RecordPattern',
+        recordType: patternType,
+        components: components,
+        line: startToken.line,
+        column: startToken.column
+      }, startToken);
     }
     
-    return false;
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected pattern variable name');
+    
+    return this.finishNode({
+      type: 'TypePattern',
+      annotations: annotations,
+      modifiers: modifiers,
+      patternType: patternType, // 'var' in record components is kept as the type name
+      name: nameToken.value,
+      line: startToken.line,
+      column: startToken.column
+    }, startToken);
   }
 
-  // Parse variable declaration (handles multiple variables: Type var1, var2, var3;)
-  variableDeclaration() {
-    const type = this.parseType();
-    const variables = [];
+  // yieldStatement: 'yield' expression ';'
+  yieldStatement() {
+    const yieldToken = this.consume(JavaTokenType.IDENTIFIER);
+    const expression = this.expression();
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after yield statement');
     
-    // Parse first variable
-    const firstName = this.consume(JavaTokenType.IDENTIFIER, 'Expected variable name').value;
-    let firstInitializer = null;
+    return this.finishNode({
+      type: 'YieldStatement',
+      expression: expression,
+      line: yieldToken.line,
+      column: yieldToken.column
+    }, yieldToken);
+  }
+
+  // 'yield' is only a statement keyword when it is not used as a plain identifier (yield = 1; yield.x();)
+  isYieldStatement() {
+    if (!this.matchContextualKeyword('yield')) {
+      return false;
+    }
+    const next = this.peek().type;
+    return !ASSIGNMENT_OPERATORS.includes(next) &&
+           next !== JavaTokenType.DOT &&
+           next !== JavaTokenType.LBRACKET &&
+           next !== JavaTokenType.COLON &&
+           next !== JavaTokenType.INCREMENT &&
+           next !== JavaTokenType.DECREMENT &&
+           next !== JavaTokenType.ARROW &&
+           next !== JavaTokenType.SEMICOLON;
+  }
+
+  // Parse field declaration
+  fieldDeclaration(modifiers = [], annotations = []) {
+    const fieldType = this.parseType();
+    const variables = [this.variableDeclarator()];
     
-    if (this.match(JavaTokenType.ASSIGN)) {
+    // int x, y = 2, z[];
+    while (this.match(JavaTokenType.COMMA)) {
       this.advance();
-      firstInitializer = this.expression();
+      variables.push(this.variableDeclarator());
     }
     
-    variables.push({
-      name: firstName,
-      initializer: firstInitializer
-    });
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after field declaration');
+    
+    return this.finishNode({
+      type: 'FieldDeclaration',
+      modifiers: modifiers,
+      annotations: annotations,
+      fieldType: fieldType,
+      variables: variables, // same declarator shape as VariableDeclaration
+      line: fieldType.line,
+      column: fieldType.column
+    }, this.declarationStart(annotations, modifiers, fieldType));
+  }
+
+  // Parse variable declaration or expression
+  variableDeclarationOrExpression() {
+    const startToken = this.currentToken;
+    
+    // Local variables may carry 'final' and annotations (final int x = 1;)
+    if (this.match(JavaTokenType.FINAL, JavaTokenType.AT)) {
+      const annotations = this.parseAnnotations();
+      const modifiers = this.parseModifiers();
+      return this.variableDeclaration(modifiers, annotations);
+    }
+    
+    // First check if this is a variable declaration
+    if (this.isVariableDeclaration()) {
+      return this.variableDeclaration();
+    }
+    
+    // Otherwise, parse as expression statement
+    const expression = this.expression();
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after expression');
+    
+    return this.finishNode({
+      type: 'ExpressionStatement',
+      expression: expression,
+      line: startToken.line,
+      column: startToken.column
+    }, this.nodeStart(startToken, expression));
+  }
+
+  // Check if current position is a variable declaration
+  isVariableDeclaration() {
+    // Look for primitive type followed by identifier
+    if (this.match(JavaTokenType.INT, JavaTokenType.DOUBLE, JavaTokenType.BOOLEAN_TYPE,
+                  JavaTokenType.FLOAT, JavaTokenType.LONG, JavaTokenType.SHORT,
+                  JavaTokenType.BYTE, JavaTokenType.CHAR_TYPE)) {
+      return true;
+    }
+    
+    // Check for object type (identifier, possibly qualified, generic or array, followed by identifier)
+    if (this.match(JavaTokenType.IDENTIFIER)) {
+      const lookahead = this.scanType(0);
+      return lookahead > 0 && this.peek(lookahead).type === JavaTokenType.IDENTIFIER;
+    }
+    
+    return false;
+  }
+
+  // Parse variable declaration (handles multiple variables: Type var1, var2, var3;)
+  variableDeclaration(modifiers = [], annotations = []) {
+    const type = this.parseType();
+    const variables = [this.variableDeclarator()];
     
     // Parse additional variables if comma-separated
     while (this.match(JavaTokenType.COMMA)) {
       this.advance(); // consume comma
-      const varName = this.consume(JavaTokenType.IDENTIFIER, 'Expected variable name').value;
-      let varInitializer = null;
-      
-      if (this.match(JavaTokenType.ASSIGN)) {
-        this.advance();
-        varInitializer = this.expression();
-      }
-      
-      variables.push({
-        name: varName,
-        initializer: varInitializer
-      });
+      variables.push(this.variableDeclarator());
     }
     
-    if (this.match(JavaTokenType.SEMICOLON)) {
-      this.advance();
-    }
+    this.consume(JavaTokenType.SEMICOLON, 'Expected ";" after variable declaration');
     
-    return {
+    return this.finishNode({
       type: 'VariableDeclaration',
+      modifiers: modifiers,
+      annotations: annotations,
       variableType: type,
       variables: variables, // Array of variables instead of single name/initializer
       line: type.line,
       column: type.column
-    };
+    }, this.declarationStart(annotations, modifiers, type));
+  }
+
+  // variableDeclarator: IDENTIFIER ('[' ']')* ('=' variableInitializer)?
+  variableDeclarator() {
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected variable name');
+    const dimensionAnnotations = this.parseDimensions(); // C-style: int a[] = {1, 2};
+    
+    let initializer = null;
+    if (this.match(JavaTokenType.ASSIGN)) {
+      this.advance();
+      initializer = this.variableInitializer();
+    }
+    
+    return this.finishNode({
+      name: nameToken.value,
+      arrayDimensions: dimensionAnnotations.length,
+      dimensionAnnotations: dimensionAnnotations,
+      initializer: initializer
+    }, nameToken);
+  }
+
+  // Empty bracket pairs with their type annotations: (annotation* '[' ']')*. Returns the
+  // annotations of each pair; stops at '[expr]' so array creation can read its dimensions.
+  parseDimensions() {
+    const dimensions = [];
+    
+    while (this.scanDimension(0) > 0) {
+      const annotations = this.parseAnnotations();
+      this.advance();
+      this.advance();
+      dimensions.push(annotations);
+    }
+    
+    return dimensions;
   }
 
   // Parse expression statement
@@ -1421,140 +2890,776 @@ class JavaParser {
     return this.variableDeclarationOrExpression();
   }
 
-  // Parse expression (improved for complex expressions)
+  // expression: lambdaExpression | assignmentExpression
   expression() {
-    const startLine = this.currentToken.line;
-    const startColumn = this.currentToken.column;
-    const tokens = [];
-    let tokenCount = 0;
-    const maxTokens = 5000; // Reduced limit to prevent runaway expressions
-    let parenCount = 0;
-    let braceCount = 0;
-    let bracketCount = 0;
-    let angleCount = 0; // Track generic type parameters < >
+    if (this.isLambdaStart()) {
+      return this.lambdaExpression();
+    }
+    return this.assignmentExpression();
+  }
+
+  // Decide whether a lambda starts at the current position: x ->, () ->, (a, b) ->, (int a) ->
+  isLambdaStart() {
+    if (this.match(JavaTokenType.IDENTIFIER)) {
+      return this.peek().type === JavaTokenType.ARROW;
+    }
+    if (!this.match(JavaTokenType.LPAREN)) {
+      return false;
+    }
+    
+    const first = this.peek(1);
+    if (first.type === JavaTokenType.RPAREN) {
+      return this.peek(2).type === JavaTokenType.ARROW;
+    }
+    if (first.type === JavaTokenType.FINAL || first.type === JavaTokenType.AT) {
+      return true;
+    }
+    if (first.type === JavaTokenType.IDENTIFIER) {
+      const second = this.peek(2);
+      if (second.type === JavaTokenType.COMMA) {
+        return true; // (a, b) can only be a lambda parameter list
+      }
+      if (second.type === JavaTokenType.RPAREN) {
+        return this.peek(3).type === JavaTokenType.ARROW;
+      }
+    }
+    
+    // Explicitly typed parameters: '(' type IDENTIFIER
+    const end = this.scanType(1);
+    return end > 0 && this.peek(end).type === JavaTokenType.IDENTIFIER;
+  }
+
+  // lambdaExpression: lambdaParameters '->' (expression | block)
+  lambdaExpression() {
+    const startToken = this.currentToken;
+    const parameters = [];
+    
+    if (this.match(JavaTokenType.IDENTIFIER)) {
+      this.advance();
+      parameters.push(this.finishNode(new Parameter(startToken.value, null, false, startToken.line, startToken.column), startToken));
+    } else {
+      this.consume(JavaTokenType.LPAREN, 'Expected "(" before lambda parameters');
+      if (!this.match(JavaTokenType.RPAREN)) {
+        parameters.push(this.lambdaParameter());
+        
+        while (this.match(JavaTokenType.COMMA)) {
+          this.advance();
+          parameters.push(this.lambdaParameter());
+        }
+      }
+      this.consume(JavaTokenType.RPAREN, 'Expected ")" after lambda parameters');
+    }
     
-    // Parse tokens until we hit a statement boundary
-    while (!this.match(JavaTokenType.EOF) && tokenCount < maxTokens) {
+    this.consume(JavaTokenType.ARROW, 'Expected "->" in lambda expression');
+    const body = this.match(JavaTokenType.LBRACE) ? this.block() : this.expression();
+    
+    return this.finishNode({
+      type: 'LambdaExpression',
+      parameters: parameters,
+      body: body,
+      line: startToken.line,
+      column: startToken.column
+    }, startToken);
+  }
+
+  // lambdaParameter: IDENTIFIER | parameter (inferred parameters have a null type, 'var' is kept as the type name)
+  lambdaParameter() {
+    if (this.match(JavaTokenType.IDENTIFIER) &&
+        (this.peek().type === JavaTokenType.COMMA || this.peek().type === JavaTokenType.RPAREN)) {
+      const nameToken = this.currentToken;
+      this.advance();
+      return this.finishNode(new Parameter(nameToken.value, null, false, nameToken.line, nameToken.column), nameToken);
+    }
+    return this.parameter();
+  }
+
+  // assignmentExpression: conditionalExpression (assignmentOperator assignmentExpression)?
+  assignmentExpression() {
+    const target = this.conditionalExpression();
+    
+    if (this.match(...ASSIGNMENT_OPERATORS)) {
+      const operatorToken = this.currentToken;
+      this.advance();
+      const value = this.expression(); // right-associative; the value may be a lambda
       
-      // Include the current token first
-      tokens.push({
-        type: this.currentToken.type,
-        value: this.currentToken.value,
-        line: this.currentToken.line,
-        column: this.currentToken.column,
-        position: this.currentToken.position || 0
-      });
+      return this.finishNode({
+        type: 'AssignmentExpression',
+        operator: operatorToken.value,
+        target: target,
+        value: value,
+        line: target.line,
+        column: target.column
+      }, target);
+    }
+    
+    return target;
+  }
+
+  // conditionalExpression: binaryExpression ('?' expression ':' conditionalExpression)?
+  conditionalExpression() {
+    const condition = this.binaryExpression(1);
+    
+    if (this.match(JavaTokenType.QUESTION)) {
+      this.advance();
+      const thenExpression = this.expression();
+      this.consume(JavaTokenType.COLON, 'Expected ":" in conditional expression');
+      const elseExpression = this.isLambdaStart() ? this.lambdaExpression() : this.conditionalExpression();
       
-      // Track nested structures
-      if (this.match(JavaTokenType.LPAREN)) {
-        parenCount++;
-      } else if (this.match(JavaTokenType.RPAREN)) {
-        parenCount--;
-      } else if (this.match(JavaTokenType.LBRACE)) {
-        braceCount++;
-      } else if (this.match(JavaTokenType.RBRACE)) {
-        braceCount--;
-      } else if (this.match(JavaTokenType.LBRACKET)) {
-        bracketCount++;
-      } else if (this.match(JavaTokenType.RBRACKET)) {
-        bracketCount--;
-      } else if (this.match(JavaTokenType.LESS_THAN)) {
-        angleCount++;
-      } else if (this.match(JavaTokenType.GREATER_THAN)) {
-        angleCount--;
+      return this.finishNode({
+        type: 'ConditionalExpression',
+        condition: condition,
+        thenExpression: thenExpression,
+        elseExpression: elseExpression,
+        line: condition.line,
+        column: condition.column
+      }, condition);
+    }
+    
+    return condition;
+  }
+
+  // Precedence climbing over BINARY_PRECEDENCE; all binary operators are left-associative
+  binaryExpression(minPrecedence) {
+    let left = this.unaryExpression();
+    
+    while (true) {
+      const precedence = BINARY_PRECEDENCE[this.currentToken.type];
+      if (precedence === undefined || precedence < minPrecedence) {
+        break;
       }
       
+      const operatorToken = this.currentToken;
       this.advance();
       
-      // Stop at statement boundaries only if we're not inside nested structures
-      if (parenCount === 0 && braceCount === 0 && bracketCount === 0 && angleCount === 0) {
-        if (this.match(JavaTokenType.SEMICOLON) || 
-            this.match(JavaTokenType.RBRACE) ||
-            this.match(JavaTokenType.COMMA)) {
-          break;
+      if (operatorToken.type === JavaTokenType.INSTANCEOF) {
+        let targetType;
+        let pattern = null;
+        
+        // obj instanceof String s / obj instanceof Point(int x, int y)
+        if (this.isPatternStart()) {
+          pattern = this.pattern();
+          targetType = pattern.type === 'RecordPattern' ? pattern.recordType : pattern.patternType;
+        } else {
+          targetType = this.parseType();
+        }
+        
+        left = this.finishNode({
+          type: 'InstanceOfExpression',
+          expression: left,
+          targetType: targetType,
+          pattern: pattern,
+          line: left.line,
+          column: left.column
+        }, left);
+        continue;
+      }
+      
+      const right = this.binaryExpression(precedence + 1);
+      left = this.finishNode({
+        type: 'BinaryExpression',
+        operator: operatorToken.value,
+        left: left,
+        right: right,
+        line: left.line,
+        column: left.column
+      }, left);
+    }
+    
+    return left;
+  }
+
+  // unaryExpression: ('+' | '-' | '++' | '--' | '!' | '~') unaryExpression | castExpression | postfixExpression
+  unaryExpression() {
+    if (this.match(JavaTokenType.PLUS, JavaTokenType.MINUS, JavaTokenType.INCREMENT,
+                  JavaTokenType.DECREMENT, JavaTokenType.NOT, JavaTokenType.BITWISE_NOT)) {
+      const operatorToken = this.currentToken;
+      this.advance();
+      
+      return this.finishNode({
+        type: 'UnaryExpression',
+        operator: operatorToken.value,
+        operand: this.unaryExpression(),
+        prefix: true,
+        line: operatorToken.line,
+        column: operatorToken.column
+      }, operatorToken);
+    }
+    
+    if (this.match(JavaTokenType.LPAREN) && this.isCastExpression()) {
+      return this.castExpression();
+    }
+    
+    return this.postfixExpression();
+  }
+
+  // Decide whether the '(' at the current position opens a cast rather than a parenthesized expression
+  isCastExpression() {
+    let end = this.scanType(1);
+    // Intersection cast: (Comparable<T> & Serializable) x
+    while (end > 0 && this.peek(end).type === JavaTokenType.BITWISE_AND) {
+      end = this.scanType(end + 1);
+    }
+    if (end < 0 || this.peek(end).type !== JavaTokenType.RPAREN) {
+      return false;
+    }
+    
+    // (int) -x is a cast, but (a) - x is a subtraction
+    if (PRIMITIVE_TYPES.includes(this.peek(1).type)) {
+      return true;
+    }
+    
+    const next = this.peek(end + 1);
+    return next.type === JavaTokenType.IDENTIFIER ||
+           next.type === JavaTokenType.LPAREN ||
+           next.type === JavaTokenType.NOT ||
+           next.type === JavaTokenType.BITWISE_NOT ||
+           next.type === JavaTokenType.THIS ||
+           next.type === JavaTokenType.SUPER ||
+           next.type === JavaTokenType.NEW ||
+           LITERAL_TYPES.includes(next.type) ||
+           PRIMITIVE_TYPES.includes(next.type);
+  }
+
+  // castExpression: '(' type ('&' type)* ')' unaryExpression
+  castExpression() {
+    const lparen = this.consume(JavaTokenType.LPAREN);
+    const castType = this.parseType();
+    
+    const additionalBounds = [];
+    while (this.match(JavaTokenType.BITWISE_AND)) {
+      this.advance();
+      additionalBounds.push(this.parseType());
+    }
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after cast type');
+    
+    return this.finishNode({
+      type: 'CastExpression',
+      castType: castType,
+      additionalBounds: additionalBounds,
+      expression: this.isLambdaStart() ? this.lambdaExpression() : this.unaryExpression(),
+      line: lparen.line,
+      column: lparen.column
+    }, lparen);
+  }
+
+  // postfixExpression: primary selector* ('++' | '--')*
+  postfixExpression() {
+    let expression = this.primary();
+    
+    while (true) {
+      if (this.match(JavaTokenType.DOT)) {
+        expression = this.selector(expression);
+      } else if (this.match(JavaTokenType.COLON_COLON)) {
+        expression = this.methodReference(expression);
+      } else if (this.match(JavaTokenType.LBRACKET) && this.peek().type === JavaTokenType.RBRACKET) {
+        // Array type in expression position: String[].class or String[]::new
+        let arrayDimensions = 0;
+        while (this.match(JavaTokenType.LBRACKET)) {
+          this.advance();
+          this.consume(JavaTokenType.RBRACKET, 'Expected "]"');
+          arrayDimensions++;
         }
+        const arrayType = new Type(this.typeNameOf(expression), true, arrayDimensions, expression.line, expression.column);
+        expression = this.typeSuffix(this.finishNode(arrayType, expression));
+      } else if (this.match(JavaTokenType.LBRACKET)) {
+        this.advance();
+        const index = this.expression();
+        this.consume(JavaTokenType.RBRACKET, 'Expected "]" after array index');
+        
+        expression = this.finishNode({
+          type: 'ArrayAccess',
+          array: expression,
+          index: index,
+          line: expression.line,
+          column: expression.column
+        }, expression);
+      } else {
+        break;
       }
-      tokenCount++;
+    }
+    
+    while (this.match(JavaTokenType.INCREMENT, JavaTokenType.DECREMENT)) {
+      const operatorToken = this.currentToken;
+      this.advance();
       
-      // Safety check for runaway expressions
-      if (tokenCount >= maxTokens) {
-        console.warn('Expression parsing hit token limit, stopping');
+      expression = this.finishNode({
+        type: 'UnaryExpression',
+        operator: operatorToken.value,
+        operand: expression,
+        prefix: false,
+        line: expression.line,
+        column: expression.column
+      }, expression);
+    }
+    
+    return expression;
+  }
+
+  // selector: '.' (IDENTIFIER arguments? | typeArguments IDENTIFIER arguments | 'new' creator | 'this' | 'super' | 'class')
+  selector(target) {
+    this.consume(JavaTokenType.DOT);
+    
+    if (this.match(JavaTokenType.NEW)) {
+      return this.creationExpression(target);
+    }
+    
+    if (this.match(JavaTokenType.THIS)) {
+      this.advance();
+      return this.finishNode({ type: 'ThisExpression', qualifier: target, line: target.line, column: target.column }, target);
+    }
+    
+    if (this.match(JavaTokenType.SUPER)) {
+      this.advance();
+      if (this.match(JavaTokenType.LPAREN)) {
+        return this.explicitConstructorInvocation('super', target, target);
+      }
+      return this.finishNode({ type: 'SuperExpression', qualifier: target, line: target.line, column: target.column }, target);
+    }
+    
+    if (this.match(JavaTokenType.CLASS)) {
+      this.advance();
+      return this.finishNode({
+        type: 'ClassLiteral',
+        classType: this.finishNode(new Type(this.typeNameOf(target), false, 0, target.line, target.column), target, target),
+        line: target.line,
+        column: target.column
+      }, target);
+    }
+    
+    let typeArguments = [];
+    if (this.match(JavaTokenType.LESS_THAN)) {
+      typeArguments = this.typeArguments();
+    }
+    
+    const nameToken = this.consume(JavaTokenType.IDENTIFIER, 'Expected member name after "."');
+    
+    if (typeArguments.length > 0 || this.match(JavaTokenType.LPAREN)) {
+      return this.finishNode({
+        type: 'MethodInvocation',
+        target: target,
+        name: nameToken.value,
+        typeArguments: typeArguments,
+        arguments: this.arguments(),
+        line: target.line,
+        column: target.column
+      }, target);
+    }
+    
+    return this.finishNode({
+      type: 'FieldAccess',
+      object: target,
+      name: nameToken.value,
+      line: target.line,
+      column: target.column
+    }, target);
+  }
+
+  // primary: literal | 'this' | 'super' | 'new' creator | '(' expression ')' | IDENTIFIER arguments? | primitiveType '.class'
+  primary() {
+    const token = this.currentToken;
+    
+    // Recover mode: a malformed literal the lexer already reported
+    if (this.match(JavaTokenType.INVALID)) {
+      this.advance();
+      return this.finishNode(new ErrorNode('Malformed token', [token], token.line, token.column), token);
+    }
+    
+    if (this.match(...LITERAL_TYPES)) {
+      this.advance();
+      return this.finishNode({
+        type: 'Literal',
+        literalType: token.type,
+        value: token.value,
+        raw: token.raw,
+        line: token.line,
+        column: token.column
+      }, token);
+    }
+    
+    if (this.match(JavaTokenType.THIS)) {
+      this.advance();
+      if (this.match(JavaTokenType.LPAREN)) {
+        return this.explicitConstructorInvocation('this', null, token);
+      }
+      return this.finishNode({ type: 'ThisExpression', qualifier: null, line: token.line, column: token.column }, token);
+    }
+    
+    if (this.match(JavaTokenType.SUPER)) {
+      this.advance();
+      if (this.match(JavaTokenType.LPAREN)) {
+        return this.explicitConstructorInvocation('super', null, token);
+      }
+      return this.finishNode({ type: 'SuperExpression', qualifier: null, line: token.line, column: token.column }, token);
+    }
+    
+    if (this.match(JavaTokenType.NEW)) {
+      return this.creationExpression(null);
+    }
+    
+    if (this.match(JavaTokenType.SWITCH)) {
+      return this.switchExpression();
+    }
+    
+    if (this.match(JavaTokenType.LPAREN)) {
+      // Parentheses are not kept in the tree; the generator re-inserts them from precedence.
+      // The expression's range is widened to cover them, so enclosing ranges stay right.
+      this.advance();
+      const expression = this.expression();
+      this.consume(JavaTokenType.RPAREN, 'Expected ")" after expression');
+      return this.finishNode(expression, token);
+    }
+    
+    if (this.match(...PRIMITIVE_TYPES, JavaTokenType.VOID)) {
+      return this.typeSuffix(this.parseType());
+    }
+    
+    // Generic type method reference: List<String>::size
+    if (this.match(JavaTokenType.IDENTIFIER) && this.peek().type === JavaTokenType.LESS_THAN) {
+      const end = this.scanType(0);
+      if (end > 0 && this.peek(end).type === JavaTokenType.COLON_COLON) {
+        return this.methodReference(this.parseType());
+      }
+    }
+    
+    if (this.match(JavaTokenType.IDENTIFIER)) {
+      this.advance();
+      if (this.match(JavaTokenType.LPAREN)) {
+        return this.finishNode({
+          type: 'MethodInvocation',
+          target: null,
+          name: token.value,
+          typeArguments: [],
+          arguments: this.arguments(),
+          line: token.line,
+          column: token.column
+        }, token);
+      }
+      return this.finishNode(new Identifier(token.value, token.line, token.column), token, token);
+    }
+    
+    return this.missing('expression', 'Expected expression', DiagnosticCode.EXPECTED_EXPRESSION);
+  }
+
+  // A type used as an expression must be followed by '.class' or '::'
+  typeSuffix(type) {
+    if (this.match(JavaTokenType.COLON_COLON)) {
+      return this.methodReference(type);
+    }
+    
+    this.consume(JavaTokenType.DOT, 'Expected ".class" or "::" after type');
+    this.consume(JavaTokenType.CLASS, 'Expected ".class" after type');
+    return this.finishNode({ type: 'ClassLiteral', classType: type, line: type.line, column: type.column }, type);
+  }
+
+  // methodReference: (expression | type) '::' typeArguments? (IDENTIFIER | 'new')
+  methodReference(target) {
+    this.consume(JavaTokenType.COLON_COLON, 'Expected "::"');
+    
+    let typeArguments = [];
+    if (this.match(JavaTokenType.LESS_THAN)) {
+      typeArguments = this.typeArguments();
+    }
+    
+    let name;
+    if (this.match(JavaTokenType.NEW)) {
+      name = 'new';
+      this.advance();
+    } else {
+      name = this.consume(JavaTokenType.IDENTIFIER, 'Expected method name after "::"').value;
+    }
+    
+    return this.finishNode({
+      type: 'MethodReference',
+      target: target,
+      typeArguments: typeArguments,
+      name: name,
+      line: target.line,
+      column: target.column
+    }, target);
+  }
+
+  // explicitConstructorInvocation: (primary '.')? ('this' | 'super') arguments
+  explicitConstructorInvocation(kind, qualifier, startToken) {
+    return this.finishNode({
+      type: 'ExplicitConstructorInvocation',
+      kind: kind,
+      qualifier: qualifier,
+      arguments: this.arguments(),
+      line: startToken.line,
+      column: startToken.column
+    }, startToken);
+  }
+
+  // creationExpression: 'new' type (arguments | dimExpr+ ('[' ']')* | ('[' ']')+ arrayInitializer)
+  creationExpression(outer = null) {
+    const newToken = this.consume(JavaTokenType.NEW);
+    const startToken = outer || newToken;
+    const createdType = this.parseType(false);
+    
+    if (this.match(JavaTokenType.LBRACKET)) {
+      return this.arrayCreation(createdType, startToken);
+    }
+    
+    const args = this.arguments();
+    
+    // Anonymous class: new Runnable() { ... }
+    let body = null;
+    if (this.match(JavaTokenType.LBRACE)) {
+      body = this.classBody();
+    }
+    
+    return this.finishNode({
+      type: 'ObjectCreationExpression',
+      objectType: createdType,
+      arguments: args,
+      outer: outer,
+      body: body,
+      line: startToken.line,
+      column: startToken.column
+    }, startToken);
+  }
+
+  // Array creation after 'new' element type: either sized dimensions or an initializer
+  arrayCreation(elementType, startToken) {
+    const dimensions = [];
+    let extraDimensions = 0;
+    
+    while (this.match(JavaTokenType.LBRACKET) && this.peek().type !== JavaTokenType.RBRACKET) {
+      this.advance();
+      dimensions.push(this.expression());
+      this.consume(JavaTokenType.RBRACKET, 'Expected "]" after array dimension');
+    }
+    
+    while (this.match(JavaTokenType.LBRACKET)) {
+      this.advance();
+      this.consume(JavaTokenType.RBRACKET, 'Expected "]"');
+      extraDimensions++;
+    }
+    
+    let initializer = null;
+    if (dimensions.length === 0) {
+      initializer = this.arrayInitializer();
+    }
+    
+    return this.finishNode({
+      type: 'ArrayCreationExpression',
+      elementType: elementType,
+      dimensions: dimensions,
+      extraDimensions: extraDimensions,
+      initializer: initializer,
+      line: startToken.line,
+      column: startToken.column
+    }, startToken);
+  }
+
+  // arrayInitializer: '{' (variableInitializer (',' variableInitializer)*)? ','? '}'
+  arrayInitializer() {
+    const lbrace = this.consume(JavaTokenType.LBRACE, 'Expected "{"');
+    const elements = [];
+    
+    while (!this.match(JavaTokenType.RBRACE) && !this.match(JavaTokenType.EOF)) {
+      elements.push(this.variableInitializer());
+      if (!this.match(JavaTokenType.COMMA)) {
         break;
       }
+      this.advance();
     }
     
-    return {
-      type: 'Expression',
-      tokens: tokens,
-      line: startLine,
-      column: startColumn
-    };
+    this.consume(JavaTokenType.RBRACE, 'Expected "}" after array initializer');
+    
+    return this.finishNode({
+      type: 'ArrayInitializer',
+      elements: elements,
+      line: lbrace.line,
+      column: lbrace.column
+    }, lbrace);
   }
 
-  // Parse method call: methodName(args)
-  parseMethodCall(methodName, line, column) {
-    this.consume(JavaTokenType.LPAREN);
+  // variableInitializer: arrayInitializer | expression
+  variableInitializer() {
+    if (this.match(JavaTokenType.LBRACE)) {
+      return this.arrayInitializer();
+    }
+    return this.expression();
+  }
+
+  // arguments: '(' (expression (',' expression)*)? ')'
+  arguments() {
+    this.consume(JavaTokenType.LPAREN, 'Expected "("');
     const args = [];
     
-    while (!this.match(JavaTokenType.RPAREN) && !this.match(JavaTokenType.EOF)) {
+    if (!this.match(JavaTokenType.RPAREN)) {
       args.push(this.expression());
-      if (this.match(JavaTokenType.COMMA)) {
+      
+      while (this.match(JavaTokenType.COMMA)) {
         this.advance();
+        args.push(this.expression());
       }
     }
     
-    this.consume(JavaTokenType.RPAREN);
+    this.consume(JavaTokenType.RPAREN, 'Expected ")" after arguments');
     
-    return {
-      type: 'MethodCall',
-      methodName: methodName,
-      arguments: args,
-      line: line,
-      column: column
-    };
+    return args;
   }
 
-  // Parse method chain: obj.method1().method2()
-  parseMethodChain(startIdentifier, line, column) {
-    let current = {
-      type: 'Identifier',
-      name: startIdentifier,
-      line: line,
-      column: column
-    };
+  // typeArguments: '<' (type (',' type)*)? '>'
+  typeArguments() {
+    this.consume(JavaTokenType.LESS_THAN, 'Expected "<"');
+    const typeArguments = [];
     
-    while (this.match(JavaTokenType.DOT)) {
-      this.advance(); // consume dot
-      const methodName = this.consume(JavaTokenType.IDENTIFIER).value;
+    if (!this.match(JavaTokenType.GREATER_THAN)) {
+      typeArguments.push(this.typeArgument());
       
-      if (this.match(JavaTokenType.LPAREN)) {
-        // Method call
-        const methodCall = this.parseMethodCall(methodName, this.currentToken.line, this.currentToken.column);
-        current = {
-          type: 'MemberExpression',
-          object: current,
-          property: methodCall,
-          line: line,
-          column: column
-        };
-      } else {
-        // Property access
-        current = {
-          type: 'MemberExpression',
-          object: current,
-          property: {
-            type: 'Identifier',
-            name: methodName,
-            line: this.currentToken.line,
-            column: this.currentToken.column
-          },
-          line: line,
-          column: column
-        };
+      while (this.match(JavaTokenType.COMMA)) {
+        this.advance();
+        typeArguments.push(this.typeArgument());
+      }
+    }
+    
+    this.consumeTypeArgumentsEnd('Expected ">" after type arguments');
+    
+    return typeArguments;
+  }
+
+  // typeArgument: type | annotation* '?' (('extends' | 'super') type)?
+  typeArgument() {
+    const startToken = this.currentToken;
+    
+    if (this.match(JavaTokenType.AT) || this.match(JavaTokenType.QUESTION)) {
+      const annotations = this.parseAnnotations();
+      
+      if (this.match(JavaTokenType.QUESTION)) {
+        this.advance();
+        
+        let extendsBound = null;
+        let superBound = null;
+        if (this.match(JavaTokenType.EXTENDS)) {
+          this.advance();
+          extendsBound = this.parseType();
+        } else if (this.match(JavaTokenType.SUPER)) {
+          this.advance();
+          superBound = this.parseType();
+        }
+        
+        return this.finishNode(new WildcardType(extendsBound, superBound, annotations, startToken.line, startToken.column), startToken);
       }
+      
+      const type = this.parseType();
+      type.annotations = annotations.concat(type.annotations);
+      return this.finishNode(type, startToken);
     }
     
-    return current;
+    return this.parseType();
+  }
+
+  // Consume the '>' that closes type arguments or parameters. The lexer reads '>>' and '>>>'
+  // as shift operators, so for nested generics (List<List<String>>) only one '>' is taken
+  // and the rest stays as the current token.
+  consumeTypeArgumentsEnd(message) {
+    const token = this.currentToken;
+    
+    if (token.type === JavaTokenType.RIGHT_SHIFT || token.type === JavaTokenType.UNSIGNED_RIGHT_SHIFT) {
+      const rest = token.type === JavaTokenType.RIGHT_SHIFT
+        ? new Token(JavaTokenType.GREATER_THAN, '>', token.line, token.column + 1, token.position + 1)
+        : new Token(JavaTokenType.RIGHT_SHIFT, '>>', token.line, token.column + 1, token.position + 1);
+      this.tokens[this.current] = rest;
+      this.currentToken = rest;
+      this.previousToken = new Token(JavaTokenType.GREATER_THAN, '>', token.line, token.column, token.position);
+      return token;
+    }
+    
+    return this.consume(JavaTokenType.GREATER_THAN, message);
+  }
+
+  // Turn a parsed name (a.b.C) back into a type name, e.g. for class literals
+  typeNameOf(expression) {
+    if (expression.type === 'Identifier') {
+      return expression.name;
+    }
+    if (expression.type === 'FieldAccess') {
+      return this.typeNameOf(expression.object) + '.' + expression.name;
+    }
+    this.error('Expected type name', DiagnosticCode.EXPECTED_TYPE);
+  }
+
+  // Look ahead over a type starting at peek(offset) without consuming anything.
+  // Returns the offset just past the type, or -1 if the tokens cannot form a type.
+  scanType(offset = 0) {
+    const first = this.peek(offset);
+    
+    if (PRIMITIVE_TYPES.includes(first.type) || first.type === JavaTokenType.VOID) {
+      offset++;
+    } else if (first.type === JavaTokenType.IDENTIFIER) {
+      offset++;
+      while (true) {
+        if (this.peek(offset).type === JavaTokenType.LESS_THAN) {
+          offset = this.scanTypeArguments(offset);
+          if (offset < 0) {
+            return -1;
+          }
+        }
+        if (this.peek(offset).type === JavaTokenType.DOT &&
+            this.peek(offset + 1).type === JavaTokenType.IDENTIFIER) {
+          offset += 2;
+        } else {
+          break;
+        }
+      }
+    } else {
+      return -1;
+    }
+    
+    for (let end = this.scanDimension(offset); end > 0; end = this.scanDimension(offset)) {
+      offset = end;
+    }
+    
+    return offset;
+  }
+
+  // Look ahead over one empty bracket pair and the annotations before it (String @NonNull []);
+  // returns the offset past the ']' or -1
+  scanDimension(offset) {
+    while (this.peek(offset).type === JavaTokenType.AT && this.peek(offset + 1).type === JavaTokenType.IDENTIFIER) {
+      offset = this.scanAnnotation(offset);
+    }
+    
+    if (this.peek(offset).type === JavaTokenType.LBRACKET && this.peek(offset + 1).type === JavaTokenType.RBRACKET) {
+      return offset + 2;
+    }
+    return -1;
+  }
+
+  // Look ahead over a balanced '<' ... '>' group; returns the offset past it or -1
+  scanTypeArguments(offset) {
+    let depth = 0;
+    
+    do {
+      const token = this.peek(offset);
+      switch (token.type) {
+        case JavaTokenType.LESS_THAN: depth++; break;
+        case JavaTokenType.GREATER_THAN: depth--; break;
+        case JavaTokenType.RIGHT_SHIFT: depth -= 2; break;
+        case JavaTokenType.UNSIGNED_RIGHT_SHIFT: depth -= 3; break;
+        case JavaTokenType.IDENTIFIER:
+        case JavaTokenType.DOT:
+        case JavaTokenType.COMMA:
+        case JavaTokenType.QUESTION:
+        case JavaTokenType.EXTENDS:
+        case JavaTokenType.SUPER:
+        case JavaTokenType.BITWISE_AND:
+        case JavaTokenType.AT:
+        case JavaTokenType.LBRACKET:
+        case JavaTokenType.RBRACKET:
+          break;
+        default:
+          if (!PRIMITIVE_TYPES.includes(token.type)) {
+            return -1;
+          }
+      }
+      offset++;
+    } while (depth > 0);
+    
+    return depth === 0 ? offset : -1;
   }
 
   // Skip to next statement boundary for error recovery
@@ -1585,20 +3690,33 @@ class JavaParser {
 
   // Skip to next class member
   skipToNextMember() {
-    // Skip until we find a semicolon (end of field) or next member
-    while (!this.match(JavaTokenType.EOF) && 
-           !this.match(JavaTokenType.RBRACE)) {
-      
-      if (this.match(JavaTokenType.SEMICOLON)) {
-        this.advance(); // consume semicolon
-        break;
-      }
-      
-      // Check if we've reached the next member (annotation or modifier)
-      if (this.match(JavaTokenType.AT) ||
-          this.match(JavaTokenType.PUBLIC, JavaTokenType.PRIVATE, JavaTokenType.PROTECTED) ||
-          this.match(JavaTokenType.STATIC, JavaTokenType.FINAL, JavaTokenType.ABSTRACT)) {
-        break;
+    let braceCount = 0;
+    
+    // Skip until we find a semicolon (end of field), the end of a body or next member
+    while (!this.match(JavaTokenType.EOF)) {
+      if (this.match(JavaTokenType.LBRACE)) {
+        braceCount++;
+      } else if (this.match(JavaTokenType.RBRACE)) {
+        if (braceCount === 0) {
+          break; // Don't consume the closing brace of the class body
+        }
+        braceCount--;
+        if (braceCount === 0) {
+          this.advance(); // consume the end of the skipped body
+          break;
+        }
+      } else if (braceCount === 0) {
+        if (this.match(JavaTokenType.SEMICOLON)) {
+          this.advance(); // consume semicolon
+          break;
+        }
+        
+        // Check if we've reached the next member (annotation, modifier or void method)
+        if (this.match(JavaTokenType.AT, JavaTokenType.VOID) ||
+            this.match(JavaTokenType.PUBLIC, JavaTokenType.PRIVATE, JavaTokenType.PROTECTED) ||
+            this.match(JavaTokenType.STATIC, JavaTokenType.FINAL, JavaTokenType.ABSTRACT)) {
+          break;
+        }
       }
       
       this.advance();
@@ -1616,13 +3734,26 @@ module.exports = {
   MethodDeclaration,
   ConstructorDeclaration,
   Parameter,
+  InitializerBlock,
   Modifier,
   Annotation,
   ClassDeclaration,
   InterfaceDeclaration,
+  EnumDeclaration,
+  EnumConstant,
+  AnnotationTypeDeclaration,
+  RecordDeclaration,
+  RecordComponent,
   Type,
+  WildcardType,
+  TypeParameter,
   Identifier,
   Block,
   CompilationUnit,
-  JavaParseError
+  ErrorNode,
+  MissingNode,
+  JavadocComment,
+  JavaParseError,
+  DiagnosticCode,
+  DiagnosticSeverity
 };
@@ -0,0 +1,225 @@
+// Round-trip regression tests: npm test
+//
+// Each case parses Java source, regenerates it and checks the output; regenerating the output
+// again must give the same text. Exits with status 1 if a case fails.
+const assert = require('assert');
+const { JavaParser, JavaGenerator } = require('../index');
+
+const cases = [];
+
+function test(name, run) {
+  cases.push({ name: name, run: run });
+}
+
+// Parse and regenerate; the result must parse without diagnostics and regenerate unchanged
+function roundTrip(source) {
+  const { ast, diagnostics } = JavaParser.parse(source);
+  assert.deepStrictEqual(diagnostics.map(d => d.message), []);
+  const code = JavaGenerator.generate(ast);
+  const again = JavaParser.parse(code);
+  assert.deepStrictEqual(again.diagnostics.map(d => d.message), []);
+  assert.strictEqual(JavaGenerator.generate(again.ast), code);
+  return code;
+}
+
+test('interface members keep their Javadoc and comments', () => {
+  const code = roundTrip(
+    'interface I { /** Does a. @return x */ int a(); // after a\n' +
+    '// before b\n' +
+    'void b(); /* end */\n' +
+    '// last\n' +
+    '}\n');
+
+  assert.ok(code.includes('    /** Does a. @return x */\n    int a(); // after a\n'));
+  assert.ok(code.includes('    // before b\n    void b(); /* end */\n'));
+  assert.ok(code.includes('    // last\n}'));
+});
+
+test('a Javadoc on the line where a member ends belongs to the next member', () => {
+  const source = 'class A { /** Field. */ private int x; /* x */ /** Does m. */ public int m() { return x; } }';
+  const [field, method] = JavaParser.parse(source).ast.typeDeclarations[0].body.statements;
+
+  assert.deepStrictEqual(field.leadingComments.map(comment => comment.value), [' Field. ']);
+  assert.deepStrictEqual(field.trailingComments.map(comment => comment.value), [' x ']);
+  assert.deepStrictEqual(method.leadingComments.map(comment => comment.summary), ['Does m.']);
+  assert.ok(roundTrip(source).includes('    private int x; /* x */\n    /** Does m. */\n    public int m() {'));
+});
+
+test('recover mode skips a member without a name as one ErrorNode', () => {
+  const { ast, diagnostics } = JavaParser.parse('class A { int = 5; void ok(){} }', { recover: true });
+
+  assert.deepStrictEqual(diagnostics.map(d => `${d.code} ${d.start.offset}`), ['EXPECTED_DECLARATION 10']);
+  assert.deepStrictEqual(ast.typeDeclarations[0].body.statements.map(member => member.type),
+                         ['ErrorNode', 'MethodDeclaration']);
+  assert.ok(JavaGenerator.generate(ast).includes('    int = 5 ;\n    void ok() {'));
+});
+
+test('try-with-resources variables use the local variable declarator shape', () => {
+  const source = 'class A {\n    void m() {\n        InputStream local = open();\n' +
+                 '        try (InputStream in = open(); var out = create()) {\n        }\n    }\n\n}\n';
+  assert.strictEqual(roundTrip(source), source);
+
+  const body = JavaParser.parse(source).ast.typeDeclarations[0].body.statements[0].body;
+  const local = body.statements[0].variables[0];
+  const resource = body.statements[1].resources[0].variables[0];
+  assert.deepStrictEqual(Object.keys(resource), Object.keys(local));
+  assert.strictEqual(source.slice(resource.start, resource.end), 'in = open()');
+});
+
+test('throws clauses keep qualified and generic exception types', () => {
+  const source = 'class A {\n' +
+                 '    A() throws java.io.IOException {\n    }\n\n' +
+                 '    void m() throws java.io.IOException, Outer.Inner<String>.Failure {\n    }\n\n' +
+                 '}\n' +
+                 'interface I {\n    void run() throws Exception;\n\n}\n';
+  assert.strictEqual(roundTrip(source), source);
+
+  const method = JavaParser.parse(source).ast.typeDeclarations[0].body.statements[1];
+  assert.deepStrictEqual(method.throws.map(type => type.name), ['java.io.IOException', 'Outer.Inner.Failure']);
+});
+
+test('fragments parse and regenerate', () => {
+  const fragments = [
+    ['parseExpression', 'a + b * (c - d)'],
+    ['parseExpression', 'items.stream().map(i -> i * 2)'],
+    ['parseStatement', 'for (int i = 0; i < n; i++) {\n    sum += i;\n}\n'],
+    ['parseStatement', 'int x = 1; // one\n'],
+    ['parseBlock', '{\n    run();\n}\n'],
+    ['parseMember', 'void m() throws IOException {\n}\n\n'],
+    ['parseType', 'Map<String, ? extends List<int[]>>[]'],
+    ['parseImport', 'import static java.util.Collections.*;']
+  ];
+
+  for (const [method, source] of fragments) {
+    const { node, diagnostics } = JavaParser[method](source);
+    assert.deepStrictEqual(diagnostics.map(d => d.message), []);
+    assert.strictEqual(JavaGenerator.generate(node), source);
+  }
+});
+
+test('Javadoc block and inline tags carry source ranges', () => {
+  const source = 'class A {\n' +
+                 '    /**\n' +
+                 '     * Adds {@link List#add(int, Object) an item}.\n' +
+                 '     * @param index where, see {@code x}\n' +
+                 '     *   continued\n' +
+                 '     */\n' +
+                 '    void add(int index) {\n    }\n\n' +
+                 '}\n';
+  roundTrip(source);
+
+  const javadoc = JavaParser.parse(source).ast.typeDeclarations[0].body.statements[0].leadingComments[0];
+  const [param] = javadoc.blockTags;
+  const tags = [javadoc.inlineTags[0], param, param.inlineTags[0]];
+  assert.deepStrictEqual(tags.map(tag => source.slice(tag.start, tag.end)), [
+    '{@link List#add(int, Object) an item}',
+    '@param index where, see {@code x}\n     *   continued',
+    '{@code x}'
+  ]);
+  assert.deepStrictEqual(param.loc, { start: { line: 4, column: 8 }, end: { line: 5, column: 19 } });
+});
+
+test('assignments and compound assignments take lambda values', () => {
+  const source = 'class A {\n' +
+                 '    void m() {\n' +
+                 '        handler = e -> log(e);\n' +
+                 '        g = () -> 1;\n' +
+                 '        f = (a, b) -> a;\n' +
+                 '        x += y -> y;\n' +
+                 '        a = b = (c) -> c;\n' +
+                 '    }\n\n' +
+                 '}\n';
+  assert.strictEqual(roundTrip(source), source.replace('(c) -> c', 'c -> c'));
+
+  const statements = JavaParser.parse(source).ast.typeDeclarations[0].body.statements[0].body.statements;
+  assert.deepStrictEqual(statements.map(s => s.expression.value.type),
+                         ['LambdaExpression', 'LambdaExpression', 'LambdaExpression', 'LambdaExpression',
+                          'AssignmentExpression']);
+});
+
+test('lexical errors cover the malformed lexeme', () => {
+  const cases = [
+    ['class A { String s = "abc; }', 'UNTERMINATED_STRING', '"abc; }'],
+    ['class A {\n  /* open\n', 'UNTERMINATED_COMMENT', '/* open\n'],
+    ['class A { String s = "a\\qb"; }', 'INVALID_ESCAPE', '"a\\q'],
+    ['class A { int x = 0x; }', 'INVALID_NUMBER', '0x'],
+    ['class A { int # x; }', 'UNEXPECTED_CHARACTER', '#']
+  ];
+
+  for (const recover of [false, true]) {
+    for (const [source, code, text] of cases) {
+      const diagnostic = JavaParser.parse(source, { recover: recover }).diagnostics[0];
+      assert.strictEqual(diagnostic.code, code);
+      assert.strictEqual(source.slice(diagnostic.start.offset, diagnostic.end.offset), text);
+      assert.strictEqual(diagnostic.token.type, 'INVALID');
+      assert.deepStrictEqual([diagnostic.token.start, diagnostic.token.end], [diagnostic.start.offset, diagnostic.end.offset]);
+    }
+  }
+
+  const { diagnostics } = JavaParser.parse('class A {\n  /* open\n');
+  assert.deepStrictEqual([diagnostics[0].start, diagnostics[0].end],
+                         [{ line: 2, column: 3, offset: 12 }, { line: 3, column: 1, offset: 20 }]);
+});
+
+test('loops with an empty statement body get an indented empty block', () => {
+  const code = roundTrip('class A { void m() { for (i = 0; i < 3; i++) ; for (int x : xs) ; while (x) ; do ; while (x); } }');
+
+  assert.ok(code.includes('        for (i = 0; i < 3; i++) {\n        }\n' +
+                          '        for (int x : xs) {\n        }\n' +
+                          '        while (x) {\n        }\n' +
+                          '        do {\n        } while (x);\n'));
+});
+
+test('intersection casts keep every type', () => {
+  const source = 'class A {\n' +
+                 '    void m() {\n' +
+                 '        Object o = (Comparable<String> & Serializable) s;\n' +
+                 '        Runnable r = (Runnable & Serializable & Cloneable) () -> run();\n' +
+                 '        boolean set = (flags & MASK) != 0;\n' +
+                 '    }\n\n' +
+                 '}\n';
+  assert.strictEqual(roundTrip(source), source);
+
+  const statements = JavaParser.parse(source).ast.typeDeclarations[0].body.statements[0].body.statements;
+  const cast = statements[1].variables[0].initializer;
+  assert.strictEqual(cast.castType.name, 'Runnable');
+  assert.deepStrictEqual(cast.additionalBounds.map(type => type.name), ['Serializable', 'Cloneable']);
+  assert.strictEqual(statements[2].variables[0].initializer.left.type, 'BinaryExpression');
+});
+
+test('type annotations on array dimensions', () => {
+  const source = 'class A {\n' +
+                 '    String @NonNull [] names;\n' +
+                 '    int @A [] @B(1) [] m(String @C [] a, int b @D []) {\n' +
+                 '        int z @E [] = {1};\n' +
+                 '        String[] copy = new String[] {};\n' +
+                 '        return (int @F [][]) o;\n' +
+                 '    }\n\n' +
+                 '    List<String @G []> list;\n' +
+                 '}\n';
+  assert.strictEqual(roundTrip(source), source);
+
+  const [field, method] = JavaParser.parse(source).ast.typeDeclarations[0].body.statements;
+  const names = dimensions => dimensions.map(annotations => annotations.map(annotation => annotation.name));
+  assert.deepStrictEqual(names(field.fieldType.dimensionAnnotations), [['NonNull']]);
+  assert.deepStrictEqual(names(method.returnType.dimensionAnnotations), [['A'], ['B']]);
+  assert.deepStrictEqual(names(method.parameters[1].dimensionAnnotations), [['D']]);
+  assert.deepStrictEqual(names(method.body.statements[0].variables[0].dimensionAnnotations), [['E']]);
+  assert.deepStrictEqual(names(method.body.statements[2].expression.castType.dimensionAnnotations), [['F'], []]);
+});
+
+let failed = 0;
+for (const { name, run } of cases) {
+  try {
+    run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+  }
+}
+
+console.log(`${cases.length - failed}/${cases.length} passed`);
+if (failed > 0) {
+  process.exitCode = 1;
+}